@@ -0,0 +1,115 @@
+/*
+  Indice analitico (en/analytic-index.md, it/analytic-index.md; layout analytic-index).
+  - Dentro l'iframe dello split i link alle sezioni si aprono nel parent (messaggio toc-load
+    con l'anchor della sottosezione), come in toc-big
+  - "Usato anche in": le sezioni che usano il termine senza definirlo. Le calcola il worker
+    della ricerca (static/js/search-worker.js) sull'indice di search.json
+  - Casella per attivare/disattivare le definizioni al passaggio del mouse (static/js/glossary.js)
+*/
+
+(function () {
+  'use strict';
+
+  const script = document.currentScript;
+  const BUILD = (script && script.getAttribute('data-build')) || '';
+
+  // /micro26_wip5/static/js/analytic-index.js -> /micro26_wip5
+  const BASE = script ? new URL(script.src, window.location.href).pathname.replace(/\/static\/js\/analytic-index\.js$/, '') : '';
+
+  const LANG = document.documentElement.lang === 'en' ? 'en' : 'it';
+  const MESSAGES = {
+    it: { used: 'usato anche in', more: 'e altre {x}' },
+    en: { used: 'also used in', more: 'and {x} more' }
+  };
+
+  function t(key, x) {
+    return MESSAGES[LANG][key].replace('{x}', x);
+  }
+
+  // -------- link alle sezioni --------
+
+  function isModifiedClick(ev) {
+    return ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey || ev.button === 1;
+  }
+
+  if (window.self !== window.top) {
+    document.addEventListener('click', (ev) => {
+      const a = ev.target && ev.target.closest ? ev.target.closest('.analytic-terms a') : null;
+      if (!a || a.target === '_blank' || isModifiedClick(ev)) return;
+
+      const href = a.getAttribute('href');
+      if (!href || href.startsWith('#')) return;
+
+      ev.preventDefault();
+      ev.stopPropagation();
+
+      const u = new URL(href, window.location.href);
+      const anchor = decodeURIComponent(u.hash.replace(/^#/, ''));
+      window.parent.postMessage({ type: 'toc-load', path: u.pathname, anchor }, window.location.origin);
+    }, true);
+  }
+
+  // -------- definizioni nel testo (stessa chiave di static/js/glossary.js) --------
+
+  const GLOSSARY_KEY = 'glossary_hidden';
+  const glossaryToggle = document.getElementById('glossary-toggle');
+
+  if (glossaryToggle) {
+    try { glossaryToggle.checked = localStorage.getItem(GLOSSARY_KEY) !== '1'; } catch (_) {}
+    glossaryToggle.addEventListener('change', () => {
+      try {
+        if (glossaryToggle.checked) localStorage.removeItem(GLOSSARY_KEY);
+        else localStorage.setItem(GLOSSARY_KEY, '1');
+      } catch (_) {}
+    });
+  }
+
+  // -------- "usato anche in" --------
+
+  function renderUsage(terms) {
+    terms.forEach((item) => {
+      if (!item.used.length) return;
+      const li = document.getElementById(item.slug);
+      const box = li && li.querySelector('.analytic-used');
+      if (!box) return;
+
+      box.textContent = '';
+      const label = document.createElement('span');
+      label.className = 'analytic-used-label';
+      label.textContent = t('used') + ' ';
+      box.appendChild(label);
+
+      item.used.forEach((u, i) => {
+        if (i) box.appendChild(document.createTextNode(', '));
+        const a = document.createElement('a');
+        a.href = u.url + (u.anchor ? '#' + u.anchor : '');
+        a.title = u.title;
+        a.textContent = u.section;
+        box.appendChild(a);
+      });
+      if (item.more) box.appendChild(document.createTextNode(' ' + t('more', item.more)));
+
+      box.hidden = false;
+    });
+  }
+
+  if (!window.Worker || !document.querySelector('.analytic-used')) return;
+
+  let worker;
+  try {
+    worker = new Worker(BASE + '/static/js/search-worker.js' + (BUILD ? '?v=' + encodeURIComponent(BUILD) : ''));
+  } catch (_) {
+    return;
+  }
+
+  worker.addEventListener('message', (ev) => {
+    const msg = ev.data || {};
+    if (msg.type === 'usage' && msg.lang === LANG) {
+      renderUsage(msg.terms || []);
+      worker.terminate();
+    } else if (msg.type === 'failed') {
+      worker.terminate();
+    }
+  });
+  worker.postMessage({ type: 'usage', lang: LANG });
+})();
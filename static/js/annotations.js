@@ -0,0 +1,630 @@
+// static/js/annotations.js
+// Evidenziazioni e note personali sul testo delle sezioni (anche dentro l'iframe dello split).
+// - Selezionando del testo compare una barra: quattro colori + "Nota"
+// - Clic (o Invio) su un'evidenziazione: cambia colore, scrivi/modifica la nota, elimina
+// - Salvate in localStorage ("annotations") per path della sezione (/en/I/2/3); il pannello
+//   "Le mie note" del parent (static/js/notes.js) legge la stessa chiave
+// - Ancoraggio: testo citato + 32 caratteri prima e dopo + posizione nel testo della sezione.
+//   Se il testo cambia si cerca la citazione vicino alla vecchia posizione o, se è stata
+//   ritoccata, il tratto tra il contesto prima e quello dopo; altrimenti la nota resta
+//   "non trovata" (orphan) e si vede solo nel pannello
+// - In stampa le evidenziazioni spariscono e le note diventano note a margine (.marginnote)
+//
+// - Nel parent dello split gira sul lettore SPA (static/js/reader-spa.js), a ogni pagina mostrata;
+//   con l'iframe non fa nulla
+//
+// Il parent manda: postMessage({ type: 'annotation-reveal', id })  -> scrolla e fa lampeggiare
+//
+// API: window.Annotations = { preparePrint(), endPrint() }  (le chiama print-pageno.js)
+
+(function () {
+  'use strict';
+
+  const KEY = 'annotations';
+  const VERSION = 1;
+  const CONTEXT = 32;
+  const COLORS = ['yellow', 'green', 'blue', 'pink'];
+
+  const MARK_CLASS = 'annotation';
+  const TOOLBAR_ID = 'annotation-toolbar';
+  const EDITOR_ID = 'annotation-editor';
+
+  // Testo che non conta: formule in MathML (doppione del KaTeX visibile), grafici kg, le barre stesse
+  const SKIP_SELECTOR = 'script, style, textarea, .katex-mathml, .kg-container, .glossary-tip, ' +
+    '#search-hl-bar, #' + TOOLBAR_ID + ', #' + EDITOR_ID + ', .annotation-print-note';
+
+  const LANG = /\/en\//.test(window.location.pathname) ? 'en' : 'it';
+  const MESSAGES = {
+    it: {
+      toolbar: 'Evidenzia',
+      yellow: 'Evidenzia in giallo', green: 'Evidenzia in verde', blue: 'Evidenzia in blu', pink: 'Evidenzia in rosa',
+      note: 'Nota', addNote: 'Evidenzia e aggiungi una nota',
+      editor: 'Evidenziazione', placeholder: 'Scrivi una nota…', save: 'Salva', remove: 'Elimina', close: 'Chiudi'
+    },
+    en: {
+      toolbar: 'Highlight',
+      yellow: 'Highlight in yellow', green: 'Highlight in green', blue: 'Highlight in blue', pink: 'Highlight in pink',
+      note: 'Note', addNote: 'Highlight and add a note',
+      editor: 'Highlight', placeholder: 'Write a note…', save: 'Save', remove: 'Delete', close: 'Close'
+    }
+  };
+
+  function msg(key) {
+    return MESSAGES[LANG][key];
+  }
+
+  // parent dello split: solo con il lettore SPA, altrimenti la pagina è nell'iframe
+  const inSplit = window.self === window.top && !!document.getElementById('toc-split-frame');
+  if (inSplit && !window.BookReader) return;
+
+  // /micro26_wip5/en/I/2/3.html -> /en/I/2/3 (come ?load= del parent)
+  function pagePath(pathname) {
+    const m = pathname.match(/\/(it|en)\/(.*)$/);
+    if (!m) return '';
+    return ('/' + m[1] + '/' + m[2]).replace(/\/+$/, '').replace(/\.html$/, '').replace(/\/index$/, '');
+  }
+
+  let PATH = '';
+  let root = null;   // <section> della sezione mostrata
+
+  // la sezione mostrata: la pagina stessa, oppure quella del lettore SPA (niente se c'è l'iframe)
+  function attach() {
+    PATH = '';
+    root = null;
+    if (!inSplit) {
+      PATH = pagePath(window.location.pathname);
+      root = document.querySelector('article > section');
+      return;
+    }
+    const nav = window.BookNav;
+    const shown = nav && nav.content();
+    const cur = nav && nav.current();
+    if (!shown || shown.win !== window || !cur) return;
+    PATH = pagePath(cur.path);
+    root = shown.root.querySelector('article > section');
+  }
+
+  attach();
+  if (!inSplit && (!PATH || !root)) return;
+
+  // -------- storage --------
+
+  // { version, pages: { '/en/I/2/3': { title, chapter, items: [{ id, color, note, exact, prefix, suffix, start, end, t, orphan }] } } }
+  function load() {
+    try {
+      const s = JSON.parse(localStorage.getItem(KEY) || 'null');
+      if (s && s.version === VERSION && s.pages && typeof s.pages === 'object') return s;
+    } catch (_) {}
+    return { version: VERSION, pages: {} };
+  }
+
+  function textOf(el) {
+    return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  function pageEntry(state) {
+    if (!state.pages[PATH]) state.pages[PATH] = { title: '', chapter: '', items: [] };
+    const page = state.pages[PATH];
+    const article = root.parentElement;
+    page.title = textOf(article.querySelector(':scope > h1')) || page.title;
+    page.chapter = textOf(article.querySelector(':scope > .subtitle')) || page.chapter;
+    return page;
+  }
+
+  // rilegge prima di scrivere: un'altra scheda (o il pannello) può aver cambiato altre pagine
+  function update(fn) {
+    const state = load();
+    const page = pageEntry(state);
+    fn(page);
+    if (!page.items.length) delete state.pages[PATH];
+    try { localStorage.setItem(KEY, JSON.stringify(state)); } catch (_) {}
+  }
+
+  function currentItems() {
+    const page = load().pages[PATH];
+    return page ? page.items : [];
+  }
+
+  // -------- testo della sezione e offset --------
+
+  function textNodes() {
+    const out = [];
+    let pos = 0;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        if (!parent || parent.closest(SKIP_SELECTOR)) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      out.push({ node, start: pos });
+      pos += node.nodeValue.length;
+    }
+    return out;
+  }
+
+  function fullText(nodes) {
+    return nodes.map(n => n.node.nodeValue).join('');
+  }
+
+  // punto (container, offset) del DOM -> offset nel testo della sezione
+  function pointToOffset(nodes, container, offset) {
+    const r = document.createRange();
+    r.setStart(container, offset);
+    for (const n of nodes) {
+      if (n.node === container) return n.start + offset;
+      if (r.comparePoint(n.node, n.node.nodeValue.length) <= 0) continue;   // nodo tutto prima
+      return n.start;                                                       // primo nodo dopo il punto
+    }
+    const last = nodes[nodes.length - 1];
+    return last ? last.start + last.node.nodeValue.length : 0;
+  }
+
+  function selectionOffsets(range) {
+    if (!root || !root.contains(range.commonAncestorContainer)) return null;
+    const nodes = textNodes();
+    const start = pointToOffset(nodes, range.startContainer, range.startOffset);
+    const end = pointToOffset(nodes, range.endContainer, range.endOffset);
+    if (end <= start) return null;
+
+    const text = fullText(nodes);
+    // niente spazi ai bordi
+    let s = start;
+    let e = end;
+    while (s < e && /\s/.test(text[s])) s++;
+    while (e > s && /\s/.test(text[e - 1])) e--;
+    if (e <= s) return null;
+
+    return {
+      start: s,
+      end: e,
+      exact: text.slice(s, e),
+      prefix: text.slice(Math.max(0, s - CONTEXT), s),
+      suffix: text.slice(e, e + CONTEXT)
+    };
+  }
+
+  // -------- ancoraggio --------
+
+  function commonSuffix(a, b) {
+    let n = 0;
+    while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+    return n;
+  }
+
+  function commonPrefix(a, b) {
+    let n = 0;
+    while (n < a.length && n < b.length && a[n] === b[n]) n++;
+    return n;
+  }
+
+  // { start, end } nel testo attuale, o null
+  function locate(item, text) {
+    if (text.slice(item.start, item.end) === item.exact) return { start: item.start, end: item.end };
+
+    // la citazione è ancora lì ma si è spostata: vince il contesto più simile, poi la vicinanza
+    let best = null;
+    let bestScore = -Infinity;
+    let i = text.indexOf(item.exact);
+    for (let guard = 0; i !== -1 && guard < 200; guard++) {
+      const score =
+        commonSuffix(text.slice(Math.max(0, i - CONTEXT), i), item.prefix || '') +
+        commonPrefix(text.slice(i + item.exact.length, i + item.exact.length + CONTEXT), item.suffix || '') -
+        Math.abs(i - item.start) / 10000;
+      if (score > bestScore) {
+        bestScore = score;
+        best = { start: i, end: i + item.exact.length };
+      }
+      i = text.indexOf(item.exact, i + 1);
+    }
+    if (best) return best;
+
+    // la citazione è stata ritoccata: il tratto tra il contesto prima e quello dopo
+    const prefix = item.prefix || '';
+    const suffix = item.suffix || '';
+    if (prefix.length < 8 || suffix.length < 8) return null;
+
+    const maxLen = Math.round(item.exact.length * 1.5) + 20;
+    let p = text.indexOf(prefix);
+    for (let guard = 0; p !== -1 && guard < 50; guard++) {
+      const from = p + prefix.length;
+      const q = text.indexOf(suffix, from);
+      if (q !== -1 && q - from > 0 && q - from <= maxLen) return { start: from, end: q };
+      p = text.indexOf(prefix, p + 1);
+    }
+    return null;
+  }
+
+  // -------- evidenziazioni nel DOM --------
+
+  function marksOf(id) {
+    if (!root) return [];
+    return Array.from(root.querySelectorAll(`mark.${MARK_CLASS}[data-annotation="${id}"]`));
+  }
+
+  function unwrap(id) {
+    marksOf(id).forEach((mark) => {
+      const parent = mark.parentNode;
+      while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+      parent.removeChild(mark);
+      parent.normalize();
+    });
+  }
+
+  function styleMarks(item) {
+    const marks = marksOf(item.id);
+    marks.forEach((mark, i) => {
+      mark.className = `${MARK_CLASS} ${MARK_CLASS}-${item.color}`;
+      if (item.note) mark.classList.add('has-note');
+      if (i === marks.length - 1) mark.classList.add('annotation-end');
+      mark.title = item.note || '';
+      if (i === 0) {
+        mark.tabIndex = 0;
+        mark.setAttribute('role', 'button');
+        mark.setAttribute('aria-label', msg('editor') + (item.note ? ': ' + item.note : ''));
+      }
+    });
+  }
+
+  function wrap(item, start, end) {
+    const nodes = textNodes();
+    for (const n of nodes) {
+      const nStart = n.start;
+      const nEnd = n.start + n.node.nodeValue.length;
+      if (nEnd <= start || nStart >= end) continue;
+
+      // le formule si contano ma non si avvolgono (romperebbe il layout di KaTeX)
+      const parent = n.node.parentElement;
+      if (!parent || parent.closest('.katex')) continue;
+
+      let node = n.node;
+      const from = Math.max(start, nStart) - nStart;
+      const to = Math.min(end, nEnd) - nStart;
+      if (!node.nodeValue.slice(from, to).trim()) continue;   // spazi tra un blocco e l'altro
+
+      if (to < node.nodeValue.length) node.splitText(to);
+      if (from > 0) node = node.splitText(from);
+
+      const mark = document.createElement('mark');
+      mark.className = MARK_CLASS;
+      mark.setAttribute('data-annotation', item.id);
+      node.parentNode.insertBefore(mark, node);
+      mark.appendChild(node);
+    }
+    styleMarks(item);
+  }
+
+  function render() {
+    if (!root) return;
+    root.querySelectorAll(`mark.${MARK_CLASS}`).forEach(m => unwrap(m.getAttribute('data-annotation')));
+
+    const items = currentItems();
+    if (!items.length) return;
+
+    const text = fullText(textNodes());
+    const moved = {};
+    const placed = [];
+
+    items.forEach((item) => {
+      const at = locate(item, text);
+      if (!at) {
+        if (!item.orphan) moved[item.id] = { orphan: true };
+        return;
+      }
+      if (at.start !== item.start || at.end !== item.end || item.orphan) {
+        moved[item.id] = {
+          orphan: false,
+          start: at.start,
+          end: at.end,
+          exact: text.slice(at.start, at.end),
+          prefix: text.slice(Math.max(0, at.start - CONTEXT), at.start),
+          suffix: text.slice(at.end, at.end + CONTEXT)
+        };
+      }
+      placed.push({ item, at });
+    });
+
+    // dall'ultima alla prima: gli split dei nodi non spostano gli offset di quelle ancora da fare
+    placed.sort((a, b) => b.at.start - a.at.start).forEach(p => wrap(p.item, p.at.start, p.at.end));
+
+    if (Object.keys(moved).length) {
+      update((page) => {
+        page.items.forEach((it) => {
+          if (moved[it.id]) Object.assign(it, moved[it.id]);
+        });
+      });
+    }
+  }
+
+  // -------- barra sulla selezione --------
+
+  function button(label, cls, title) {
+    const b = document.createElement('button');
+    b.type = 'button';
+    b.className = cls;
+    b.textContent = label;
+    if (title) {
+      b.title = title;
+      b.setAttribute('aria-label', title);
+    }
+    return b;
+  }
+
+  function colorButtons(box, onPick, active) {
+    COLORS.forEach((c) => {
+      const b = button('', `annotation-color annotation-color-${c}`, msg(c));
+      if (c === active) b.setAttribute('aria-pressed', 'true');
+      b.addEventListener('mousedown', ev => ev.preventDefault());   // non perdere la selezione
+      b.addEventListener('click', () => onPick(c));
+      box.appendChild(b);
+    });
+  }
+
+  function place(el, rect) {
+    el.style.left = Math.max(8, window.scrollX + rect.left) + 'px';
+    el.style.top = (window.scrollY + rect.bottom + 8) + 'px';
+  }
+
+  let toolbar = null;
+  let pendingSel = null;
+
+  function hideToolbar() {
+    if (toolbar) toolbar.hidden = true;
+    pendingSel = null;
+  }
+
+  function showToolbar(sel, rect) {
+    if (!toolbar) {
+      toolbar = document.createElement('div');
+      toolbar.id = TOOLBAR_ID;
+      toolbar.className = 'annotation-toolbar screen-only';
+      toolbar.setAttribute('role', 'toolbar');
+      toolbar.setAttribute('aria-label', msg('toolbar'));
+
+      colorButtons(toolbar, color => addFromSelection(color, false));
+      const noteBtn = button(msg('note'), 'annotation-note-btn', msg('addNote'));
+      noteBtn.addEventListener('mousedown', ev => ev.preventDefault());
+      noteBtn.addEventListener('click', () => addFromSelection(COLORS[0], true));
+      toolbar.appendChild(noteBtn);
+
+      document.body.appendChild(toolbar);
+    }
+    pendingSel = sel;
+    place(toolbar, rect);
+    toolbar.hidden = false;
+  }
+
+  function newId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  }
+
+  function addFromSelection(color, withNote) {
+    const sel = pendingSel;
+    hideToolbar();
+    if (!sel) return;
+
+    const item = Object.assign({ id: newId(), color, note: '', t: Date.now() }, sel);
+    update(page => page.items.push(item));
+    wrap(item, item.start, item.end);
+
+    try { window.getSelection().removeAllRanges(); } catch (_) {}
+    if (withNote) openEditor(item.id);
+  }
+
+  function onSelectionEnd() {
+    const s = window.getSelection();
+    if (!s || s.isCollapsed || !s.rangeCount) {
+      hideToolbar();
+      return;
+    }
+    const range = s.getRangeAt(0);
+    const sel = selectionOffsets(range);
+    if (!sel) {
+      hideToolbar();
+      return;
+    }
+    const rects = range.getClientRects();
+    showToolbar(sel, rects.length ? rects[rects.length - 1] : range.getBoundingClientRect());
+  }
+
+  document.addEventListener('mouseup', (ev) => {
+    if (ev.target.closest && ev.target.closest(`#${TOOLBAR_ID}, #${EDITOR_ID}`)) return;
+    setTimeout(onSelectionEnd, 0);
+  });
+  document.addEventListener('keyup', (ev) => {
+    if (ev.shiftKey && /^Arrow|^Home$|^End$/.test(ev.key)) onSelectionEnd();
+  });
+  document.addEventListener('touchend', () => setTimeout(onSelectionEnd, 300));
+
+  // -------- modifica di un'evidenziazione --------
+
+  let editor = null;
+  let editing = null;
+
+  function closeEditor(refocus) {
+    if (!editor || editor.hidden) return;
+    editor.hidden = true;
+    const first = editing && marksOf(editing)[0];
+    editing = null;
+    if (refocus && first) first.focus();
+  }
+
+  function openEditor(id) {
+    const item = currentItems().find(it => it.id === id);
+    const marks = marksOf(id);
+    if (!item || !marks.length) return;
+
+    if (!editor) {
+      editor = document.createElement('div');
+      editor.id = EDITOR_ID;
+      editor.className = 'annotation-editor screen-only';
+      editor.setAttribute('role', 'dialog');
+      editor.setAttribute('aria-label', msg('editor'));
+      document.body.appendChild(editor);
+    }
+    editor.textContent = '';
+    editing = id;
+
+    const colors = document.createElement('div');
+    colors.className = 'annotation-editor-colors';
+    colorButtons(colors, (c) => {
+      update((page) => {
+        const it = page.items.find(x => x.id === id);
+        if (it) it.color = c;
+      });
+      item.color = c;
+      styleMarks(item);
+      colors.querySelectorAll('button').forEach((b) => {
+        b.setAttribute('aria-pressed', b.classList.contains(`annotation-color-${c}`) ? 'true' : 'false');
+      });
+    }, item.color);
+    editor.appendChild(colors);
+
+    const area = document.createElement('textarea');
+    area.className = 'annotation-editor-note';
+    area.rows = 3;
+    area.placeholder = msg('placeholder');
+    area.value = item.note || '';
+    editor.appendChild(area);
+
+    const actions = document.createElement('div');
+    actions.className = 'annotation-editor-actions';
+    const save = button(msg('save'), 'annotation-save');
+    const remove = button(msg('remove'), 'annotation-remove');
+    const close = button('✕', 'annotation-close', msg('close'));
+    actions.appendChild(save);
+    actions.appendChild(remove);
+    actions.appendChild(close);
+    editor.appendChild(actions);
+
+    save.addEventListener('click', () => {
+      const note = area.value.trim();
+      update((page) => {
+        const it = page.items.find(x => x.id === id);
+        if (it) {
+          it.note = note;
+          it.t = Date.now();
+        }
+      });
+      item.note = note;
+      styleMarks(item);
+      closeEditor(true);
+    });
+
+    remove.addEventListener('click', () => {
+      update((page) => {
+        page.items = page.items.filter(x => x.id !== id);
+      });
+      editing = null;
+      editor.hidden = true;
+      unwrap(id);
+    });
+
+    close.addEventListener('click', () => closeEditor(true));
+
+    const last = marks[marks.length - 1].getClientRects();
+    place(editor, last.length ? last[last.length - 1] : marks[0].getBoundingClientRect());
+    editor.hidden = false;
+    area.focus();
+  }
+
+  // sul documento: nel lettore SPA il root cambia a ogni pagina
+  document.addEventListener('click', (ev) => {
+    const mark = ev.target.closest ? ev.target.closest(`mark.${MARK_CLASS}`) : null;
+    if (!mark || !root || !root.contains(mark)) return;
+    const s = window.getSelection();
+    if (s && !s.isCollapsed) return;   // sta selezionando, non modificando
+    openEditor(mark.getAttribute('data-annotation'));
+  });
+
+  document.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Enter' && ev.key !== ' ') return;
+    const mark = ev.target.closest ? ev.target.closest(`mark.${MARK_CLASS}`) : null;
+    if (!mark || !root || !root.contains(mark)) return;
+    ev.preventDefault();
+    openEditor(mark.getAttribute('data-annotation'));
+  });
+
+  document.addEventListener('keydown', (ev) => {
+    if (ev.key !== 'Escape') return;
+    if (editor && !editor.hidden) closeEditor(true);
+    hideToolbar();
+  });
+
+  document.addEventListener('mousedown', (ev) => {
+    if (!editor || editor.hidden) return;
+    if (ev.target.closest && ev.target.closest(`#${EDITOR_ID}, mark.${MARK_CLASS}`)) return;
+    closeEditor(false);
+  });
+
+  // -------- dal pannello del parent --------
+
+  function reveal(id) {
+    const marks = marksOf(id);
+    if (!marks.length) return;
+    marks[0].scrollIntoView({ block: 'center' });
+    marks.forEach(m => m.classList.add('annotation-flash'));
+    setTimeout(() => marks.forEach(m => m.classList.remove('annotation-flash')), 1600);
+  }
+
+  window.addEventListener('message', (ev) => {
+    if (ev.origin !== window.location.origin) return;
+    const data = ev.data;
+    if (!data || data.type !== 'annotation-reveal' || typeof data.id !== 'string') return;
+    reveal(data.id);
+  });
+
+  // note cambiate nel pannello o in un'altra scheda
+  window.addEventListener('storage', (ev) => {
+    if (ev.key !== KEY && ev.key !== null) return;
+    closeEditor(false);
+    render();
+  });
+
+  // -------- stampa: niente colori, le note a margine --------
+
+  function preparePrint() {
+    endPrint();
+    hideToolbar();
+    closeEditor(false);
+    document.documentElement.classList.add('annotations-print');
+
+    currentItems().forEach((item) => {
+      if (!item.note) return;
+      const marks = marksOf(item.id);
+      if (!marks.length) return;
+
+      const note = document.createElement('span');
+      note.className = 'marginnote annotation-print-note print-only';
+      note.textContent = item.note;
+      const block = marks[0].closest('p, li, blockquote') || marks[0];
+      block.insertBefore(note, block.firstChild);
+    });
+  }
+
+  function endPrint() {
+    document.documentElement.classList.remove('annotations-print');
+    document.querySelectorAll('.annotation-print-note').forEach(el => el.remove());
+  }
+
+  window.addEventListener('beforeprint', preparePrint);
+  window.addEventListener('afterprint', endPrint);
+
+  // lettore SPA: una pagina nuova senza ricaricare la finestra
+  if (inSplit) {
+    window.addEventListener('book-navigate', () => {
+      hideToolbar();
+      closeEditor(false);
+    });
+    window.addEventListener('book-loaded', () => {
+      attach();
+      render();
+    });
+  }
+
+  window.Annotations = { preparePrint, endPrint };
+
+  render();
+})();
@@ -0,0 +1,401 @@
+// static/js/glossary.js
+// Glossario nelle pagine delle sezioni: le occorrenze dei termini definiti in grassetto
+// (indice analitico, en/analytic-index.json e it/analytic-index.json) hanno una sottolineatura
+// a puntini; al passaggio del mouse, al focus o al tocco compare la frase della definizione
+// con il link alla sezione che la contiene.
+//
+// - Confronto sugli stem (BookSearchIndex.tokenize), così "costi marginali" trova "costo marginale"
+// - Solo la prima occorrenza di ogni termine per sottosezione (h2), mai nel grassetto della definizione
+// - Dentro l'iframe dello split il link apre la sezione nel parent (toc-load con anchor)
+// - Nel parent dello split gira sul lettore SPA (static/js/reader-spa.js), a ogni pagina mostrata;
+//   con l'iframe non fa nulla
+// - Si può disattivare (localStorage "glossary_hidden"), dal tooltip o dall'indice analitico
+//
+// API: window.Glossary = { isHidden(), setHidden(hidden) }
+
+(function () {
+  'use strict';
+
+  const STORAGE_KEY = 'glossary_hidden';
+  const TERM_CLASS = 'glossary-term';
+  const TIP_ID = 'glossary-tip';
+
+  // Dove NON cercare: titoli, link, grassetti (le definizioni), formule, grafici kg
+  const SKIP_SELECTOR = 'script, style, textarea, h1, h2, h3, h4, a, b, strong, .subtitle, .katex, ' +
+    '.kg-container, .lang-switch, .search-hl-bar, .breadcrumb, .chapter-nav, .' + TERM_CLASS + ', #' + TIP_ID;
+
+  const MESSAGES = {
+    it: { defined: 'Definito in', hide: 'Non mostrare le definizioni' },
+    en: { defined: 'Defined in', hide: 'Hide definitions' }
+  };
+
+  const script = document.currentScript;
+  const BUILD = (script && script.getAttribute('data-build')) || '';
+
+  // /micro26_wip5/static/js/glossary.js -> /micro26_wip5
+  const BASE = script ? new URL(script.src, window.location.href).pathname.replace(/\/static\/js\/glossary\.js$/, '') : '';
+
+  const LANG = /\/en\//.test(window.location.pathname) ? 'en' : 'it';
+
+  // parent dello split: solo con il lettore SPA, altrimenti la pagina è nell'iframe
+  const inSplit = window.self === window.top && !!document.getElementById('toc-split-frame');
+  if (inSplit && !window.BookReader) return;
+
+  function msg(key) {
+    return MESSAGES[LANG][key];
+  }
+
+  function isHidden() {
+    try { return localStorage.getItem(STORAGE_KEY) === '1'; } catch (_) { return false; }
+  }
+
+  function setHidden(hidden) {
+    try {
+      if (hidden) localStorage.setItem(STORAGE_KEY, '1');
+      else localStorage.removeItem(STORAGE_KEY);
+    } catch (_) {}
+    if (hidden) unmark();
+    else mark();
+  }
+
+  window.Glossary = { isHidden, setHidden };
+
+  // -------- dati --------
+
+  let terms = null;   // Promise [{ term, slug, def, stems, offsets }]
+
+  // Stessa URL (con ?v=) del worker della ricerca: una sola copia nella cache del browser
+  function loadTerms() {
+    if (terms) return terms;
+
+    const url = `${BASE}/${LANG}/analytic-index.json` + (BUILD ? '?v=' + encodeURIComponent(BUILD) : '');
+    terms = fetch(url, { cache: BUILD ? 'force-cache' : 'no-cache' })
+      .then((r) => {
+        if (!r.ok) throw new Error(String(r.status));
+        return r.json();
+      })
+      .then((data) => {
+        const I = window.BookSearchIndex;
+        const list = (data && Array.isArray(data.terms)) ? data.terms : [];
+        return list.map((t) => {
+          const toks = I.tokenize(t.term, LANG);
+          return {
+            term: t.term,
+            slug: t.slug,
+            def: (t.defs || [])[0],
+            stems: toks.map(tok => tok.term),
+            offsets: toks.map(tok => tok.pos - toks[0].pos)
+          };
+        }).filter(t => t.def && t.stems.length);
+      })
+      .catch(() => []);
+
+    return terms;
+  }
+
+  // primo stem -> termini, i più lunghi prima ("costo marginale sociale" prima di "costo marginale")
+  function byFirstStem(list) {
+    const map = new Map();
+    list.forEach((t) => {
+      if (!map.has(t.stems[0])) map.set(t.stems[0], []);
+      map.get(t.stems[0]).push(t);
+    });
+    map.forEach(arr => arr.sort((a, b) => b.stems.length - a.stems.length));
+    return map;
+  }
+
+  // -------- marcatura --------
+
+  // la sezione mostrata: la pagina stessa, oppure l'<article> del lettore SPA (null se c'è l'iframe)
+  function findRoot() {
+    if (inSplit) {
+      const shown = window.BookNav && window.BookNav.content();
+      return shown && shown.win === window ? shown.root.querySelector('article') : null;
+    }
+    return document.querySelector('article') || document.body;
+  }
+
+  // path della sezione mostrata (nel parent SPA non è quello della finestra)
+  function pagePathname() {
+    const nav = window.BookNav;
+    const cur = inSplit && nav ? nav.current() : null;
+    if (cur) return new URL(nav.frameUrl(cur), window.location.href).pathname;
+    return window.location.pathname;
+  }
+
+  function samePage(url) {
+    const strip = p => p.replace(/\.html$/, '').replace(/\/index$/, '/');
+    return strip(url) === strip(pagePathname());
+  }
+
+  // Occorrenze in un nodo di testo: [{ t, start, end }], al massimo una per termine non ancora visto
+  function matchesIn(text, index, seen) {
+    const toks = window.BookSearchIndex.tokenize(text, LANG);
+    const out = [];
+
+    for (let i = 0; i < toks.length; i++) {
+      const cands = index.get(toks[i].term);
+      if (!cands) continue;
+
+      const t = cands.find(c => !seen.has(c.slug) && c.stems.every((s, j) => {
+        const tok = toks[i + j];
+        return tok && tok.term === s && tok.pos - toks[i].pos === c.offsets[j];
+      }));
+      if (!t) continue;
+
+      const last = toks[i + t.stems.length - 1];
+      out.push({ t, start: toks[i].start, end: last.end });
+      seen.add(t.slug);
+      i += t.stems.length - 1;
+    }
+    return out;
+  }
+
+  function wrap(node, found) {
+    const text = node.nodeValue;
+    const frag = document.createDocumentFragment();
+    let pos = 0;
+
+    found.forEach((m) => {
+      if (m.start > pos) frag.appendChild(document.createTextNode(text.slice(pos, m.start)));
+      const span = document.createElement('span');
+      span.className = TERM_CLASS;
+      span.tabIndex = 0;
+      span.dataset.slug = m.t.slug;
+      span.textContent = text.slice(m.start, m.end);
+      frag.appendChild(span);
+      pos = m.end;
+    });
+    if (pos < text.length) frag.appendChild(document.createTextNode(text.slice(pos)));
+
+    node.parentNode.replaceChild(frag, node);
+  }
+
+  let bySlug = new Map();
+
+  function mark() {
+    if (isHidden() || !window.BookSearchIndex) return;
+
+    loadTerms().then((list) => {
+      if (isHidden() || !list.length || document.querySelector('.' + TERM_CLASS)) return;
+
+      const root = findRoot();
+      if (!root) return;
+
+      bySlug = new Map(list.map(t => [t.slug, t]));
+      const index = byFirstStem(list);
+
+      // in ordine di documento: ogni h2 apre una sottosezione (e azzera i termini già visti)
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+        acceptNode(n) {
+          if (n.nodeType === Node.ELEMENT_NODE) {
+            if (n.tagName === 'H2') return NodeFilter.FILTER_ACCEPT;
+            return n.matches(SKIP_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP;
+          }
+          // il titolo h2 si visita (per l'anchor), ma il suo testo no
+          if (!n.nodeValue.trim() || n.parentNode.closest('h2')) return NodeFilter.FILTER_REJECT;
+          return NodeFilter.FILTER_ACCEPT;
+        }
+      });
+
+      let anchor = '';
+      let seen = new Set();
+      const pending = [];
+
+      // la sottosezione che definisce un termine non lo sottolinea
+      const definedHere = () => new Set(list
+        .filter(t => samePage(t.def.url) && (t.def.anchor || '') === anchor)
+        .map(t => t.slug));
+      seen = definedHere();
+
+      for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+        if (n.nodeType === Node.ELEMENT_NODE) {
+          anchor = n.id || '';
+          seen = definedHere();
+          continue;
+        }
+        const found = matchesIn(n.nodeValue, index, seen);
+        if (found.length) pending.push([n, found]);
+      }
+
+      // si modifica il DOM solo alla fine, per non disturbare il TreeWalker
+      pending.forEach(([n, found]) => wrap(n, found));
+    });
+  }
+
+  function unmark() {
+    hideTip();
+    document.querySelectorAll('.' + TERM_CLASS).forEach((span) => {
+      const parent = span.parentNode;
+      parent.replaceChild(document.createTextNode(span.textContent), span);
+      parent.normalize();
+    });
+  }
+
+  // -------- tooltip --------
+
+  let tip = null;
+  let tipFor = null;
+  let hideTimer = 0;
+
+  function renderMath(el) {
+    if (!window.renderMathInElement) return;
+    try {
+      window.renderMathInElement(el, {
+        delimiters: [{ left: '$', right: '$', display: false }],
+        throwOnError: false
+      });
+    } catch (_) {}
+  }
+
+  function openSection(def) {
+    if (inSplit && window.BookNav) {
+      window.BookNav.navigate(def.url, { anchor: def.anchor || '' });
+      return;
+    }
+    if (window.self !== window.top) {
+      const u = new URL(def.url, window.location.href);
+      window.parent.postMessage({ type: 'toc-load', path: u.pathname, anchor: def.anchor || '' }, window.location.origin);
+      return;
+    }
+    window.location.href = def.url + (def.anchor ? '#' + def.anchor : '');
+  }
+
+  function ensureTip() {
+    if (tip) return tip;
+
+    tip = document.createElement('div');
+    tip.id = TIP_ID;
+    tip.className = 'glossary-tip';
+    tip.setAttribute('role', 'tooltip');
+    tip.hidden = true;
+
+    tip.addEventListener('mouseenter', () => window.clearTimeout(hideTimer));
+    tip.addEventListener('mouseleave', scheduleHide);
+    document.body.appendChild(tip);
+    return tip;
+  }
+
+  function showTip(span) {
+    const t = bySlug.get(span.dataset.slug);
+    if (!t) return;
+
+    window.clearTimeout(hideTimer);
+    const el = ensureTip();
+    if (tipFor === span && !el.hidden) return;
+    if (tipFor) tipFor.removeAttribute('aria-describedby');
+    tipFor = span;
+
+    el.textContent = '';
+
+    const sentence = document.createElement('div');
+    sentence.className = 'glossary-tip-sentence';
+    sentence.textContent = String(t.def.sentence || '').replace(/\*+/g, '');
+    el.appendChild(sentence);
+    renderMath(sentence);
+
+    const link = document.createElement('a');
+    link.className = 'glossary-tip-link';
+    link.href = t.def.url + (t.def.anchor ? '#' + t.def.anchor : '');
+    link.textContent = msg('defined') + ' ' + t.def.section + ' ' + t.def.title;
+    link.addEventListener('click', (ev) => {
+      if (ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey) return;
+      ev.preventDefault();
+      hideTip();
+      openSection(t.def);
+    });
+    el.appendChild(link);
+
+    const off = document.createElement('button');
+    off.type = 'button';
+    off.className = 'glossary-tip-off';
+    off.textContent = msg('hide');
+    off.addEventListener('click', () => setHidden(true));
+    el.appendChild(off);
+
+    el.hidden = false;
+    span.setAttribute('aria-describedby', TIP_ID);
+    place(el, span);
+  }
+
+  // Sotto la parola; sopra se in fondo allo schermo non c'è spazio
+  function place(el, span) {
+    const r = span.getBoundingClientRect();
+    const w = el.offsetWidth;
+    const h = el.offsetHeight;
+    const left = Math.max(8, Math.min(r.left, window.innerWidth - w - 8));
+    const below = r.bottom + 6;
+    const top = (below + h > window.innerHeight - 8 && r.top - h - 6 > 8) ? r.top - h - 6 : below;
+
+    el.style.left = (left + window.scrollX) + 'px';
+    el.style.top = (top + window.scrollY) + 'px';
+  }
+
+  function hideTip() {
+    window.clearTimeout(hideTimer);
+    if (tip) tip.hidden = true;
+    if (tipFor) tipFor.removeAttribute('aria-describedby');
+    tipFor = null;
+  }
+
+  function scheduleHide() {
+    window.clearTimeout(hideTimer);
+    hideTimer = window.setTimeout(hideTip, 250);
+  }
+
+  function termAt(ev) {
+    return ev.target && ev.target.closest ? ev.target.closest('.' + TERM_CLASS) : null;
+  }
+
+  document.addEventListener('mouseover', (ev) => {
+    const span = termAt(ev);
+    if (span) showTip(span);
+  });
+
+  document.addEventListener('mouseout', (ev) => {
+    if (termAt(ev)) scheduleHide();
+  });
+
+  document.addEventListener('focusin', (ev) => {
+    const span = termAt(ev);
+    if (span) showTip(span);
+    else if (!(tip && tip.contains(ev.target))) hideTip();
+  });
+
+  // tocco (niente hover): il primo tap mostra, il secondo nasconde; fuori dal tooltip chiude
+  document.addEventListener('click', (ev) => {
+    const span = termAt(ev);
+    if (span) {
+      if (tipFor === span && tip && !tip.hidden && ev.pointerType !== 'mouse') hideTip();
+      else showTip(span);
+      return;
+    }
+    if (tip && !tip.hidden && !tip.contains(ev.target)) hideTip();
+  });
+
+  document.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Escape' && tip && !tip.hidden) {
+      const span = tipFor;
+      if (span && tip.contains(document.activeElement)) span.focus();
+      hideTip();
+    }
+  });
+
+  // l'opzione cambiata in un'altra pagina (es. dall'indice analitico)
+  window.addEventListener('storage', (ev) => {
+    if (ev.key !== STORAGE_KEY) return;
+    if (isHidden()) unmark();
+    else mark();
+  });
+
+  // prima di stampare, niente tooltip aperto
+  window.addEventListener('beforeprint', hideTip);
+
+  // lettore SPA: una pagina nuova senza ricaricare la finestra
+  if (inSplit) {
+    window.addEventListener('book-navigate', hideTip);
+    window.addEventListener('book-loaded', mark);
+  }
+
+  mark();
+})();
@@ -0,0 +1,428 @@
+// static/js/link-preview.js
+// Anteprima dei link interni (altre sezioni, figure "#gr_...", rimandi di _includes/ref.html):
+// al passaggio del mouse, al focus o con una pressione lunga (touch) compare una scheda con
+// - testo: titolo della sezione (› sottosezione) e il primo paragrafo dal punto del link
+// - figura: il numero della figura e il grafico kg vivo, in piccolo (KG.View sul YAML del grafico)
+//
+// - La pagina di arrivo si scarica una volta sola (cache per URL, come sectionsCache di
+//   toc-accordion.js); per gli anchor della stessa pagina si usa la pagina stessa
+// - Il click naviga come prima; dentro l'iframe dello split le altre sezioni passano dal parent
+//   (toc-load -> ?load=)
+// - Gira nelle pagine delle sezioni e, nel parent, sul lettore SPA (static/js/reader-spa.js),
+//   che instrada già da sé i click
+
+(function () {
+  'use strict';
+
+  const CARD_ID = 'link-preview';
+  const SHOW_DELAY = 350;
+  const LONG_PRESS = 500;
+
+  // link delle sezioni e della prefazione: /en/I/2/3, /en/I/2/3.html, /en/pr.html
+  const SECTION_RE = /\/(it|en)\/(pr|[IVX]+\/\d+\/\d+)(\.html)?$/;
+
+  const MESSAGES = {
+    it: { loading: 'Caricamento…', failed: 'Anteprima non disponibile' },
+    en: { loading: 'Loading…', failed: 'Preview not available' }
+  };
+
+  const LANG = /\/en\//.test(window.location.pathname) ? 'en' : 'it';
+  const inFrame = window.self !== window.top;
+
+  function msg(key) {
+    return MESSAGES[LANG][key];
+  }
+
+  // -------- link e pagina di arrivo --------
+
+  // dove sono i link da mostrare: la pagina della sezione, oppure il lettore SPA nel parent
+  function contentRoot() {
+    if (!inFrame && document.getElementById('toc-split-frame')) return document.getElementById('toc-split-reader');
+    return document.querySelector('article');
+  }
+
+  // URL della sezione mostrata (nel parent SPA non è quello della finestra)
+  function currentUrl() {
+    const nav = window.BookNav;
+    const cur = !inFrame && nav ? nav.current() : null;
+    if (cur) return new URL(nav.frameUrl(cur), window.location.href);
+    return new URL(window.location.href);
+  }
+
+  function stripHtml(path) {
+    return path.replace(/\.html$/, '');
+  }
+
+  function linkAt(ev) {
+    return ev.target && ev.target.closest ? ev.target.closest('a[href]') : null;
+  }
+
+  // { path, search, anchor, same } oppure null (link esterni, file, navigazione, link fuori dal testo)
+  function targetOf(a) {
+    if (!a || a.target === '_blank' || a.hasAttribute('download')) return null;
+    if (a.closest('.lang-switch, .breadcrumb, .chapter-nav, #' + CARD_ID)) return null;
+
+    const root = contentRoot();
+    if (!root || !root.contains(a)) return null;
+
+    const href = a.getAttribute('href') || '';
+    const here = currentUrl();
+    let u;
+    try {
+      u = href.charAt(0) === '#' ? new URL(href, here) : new URL(a.href);
+    } catch (_) {
+      return null;
+    }
+    if (u.origin !== window.location.origin || !SECTION_RE.test(u.pathname)) return null;
+
+    let anchor = u.hash.slice(1);
+    try { anchor = decodeURIComponent(anchor); } catch (_) {}
+
+    const path = stripHtml(u.pathname);
+    return { path, search: u.search, anchor, same: path === stripHtml(here.pathname) };
+  }
+
+  const pageCache = new Map();   // path -> Promise(Document)
+
+  function loadPage(t) {
+    if (t.same) return Promise.resolve(null);
+    if (!pageCache.has(t.path)) {
+      const p = fetch(t.path, { credentials: 'same-origin' })
+        .then((r) => {
+          if (!r.ok) throw new Error(String(r.status));
+          return r.text();
+        })
+        .then(html => new DOMParser().parseFromString(html, 'text/html'));
+      p.catch(() => pageCache.delete(t.path));
+      pageCache.set(t.path, p);
+    }
+    return pageCache.get(t.path);
+  }
+
+  // -------- contenuto della scheda --------
+
+  // testo senza il doppione MathML di KaTeX (pagina già renderizzata)
+  function textOf(el) {
+    if (!el) return '';
+    const c = el.cloneNode(true);
+    c.querySelectorAll('.katex-mathml').forEach(n => n.remove());
+    return (c.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  function byId(scope, id) {
+    if (!id) return null;
+    const all = Array.from(scope.querySelectorAll('[id]'));
+    return all.find(el => el.id === id) ||
+      all.find(el => el.id.toLowerCase() === id.toLowerCase()) || null;
+  }
+
+  function follows(a, b) {
+    return !!(a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING);
+  }
+
+  // ultimo h2 con id prima dell'elemento (o l'elemento stesso)
+  function subsectionOf(scope, el) {
+    if (!el) return null;
+    if (el.matches('h2')) return el;
+    return Array.from(scope.querySelectorAll('article h2[id]')).filter(h => follows(h, el)).pop() || null;
+  }
+
+  const SKIP_P = '.marginnote, .sidenote, .breadcrumb, .chapter-nav, figure, .kg-container, .lang-switch';
+
+  function paragraphAt(scope, el) {
+    const ps = Array.from(scope.querySelectorAll('article p'))
+      .filter(p => !p.closest(SKIP_P) && textOf(p).length > 40);
+    if (!el) return ps[0] || null;
+    return ps.find(p => p.contains(el) || follows(el, p)) || null;
+  }
+
+  function graphAfter(scope, el) {
+    return Array.from(scope.querySelectorAll('.kg-container[src]')).find(d => follows(el, d)) || null;
+  }
+
+  // copia inerte: niente id doppi, niente link attivi dentro la scheda
+  function inertCopy(node, base) {
+    const c = document.importNode(node, true);
+    [c].concat(Array.from(c.querySelectorAll('*'))).forEach((el) => {
+      el.removeAttribute('id');
+      if (el.tagName === 'A') el.tabIndex = -1;
+      const src = el.getAttribute('src');
+      if (src && base) {
+        try { el.setAttribute('src', new URL(src, base).href); } catch (_) {}
+      }
+    });
+    c.querySelectorAll('script').forEach(s => s.remove());
+    return c;
+  }
+
+  // stessi delimitatori di _includes/scripts.html; poi € -> $ (dollari letterali nel testo)
+  function renderMath(el) {
+    if (window.renderMathInElement) {
+      try {
+        window.renderMathInElement(el, {
+          delimiters: [
+            { left: '$$', right: '$$', display: true },
+            { left: '$', right: '$', display: false },
+            { left: '\\[', right: '\\]', display: false },
+            { left: '\\(', right: '\\)', display: true }
+          ],
+          throwOnError: false
+        });
+      } catch (_) {}
+    }
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+      if (n.nodeValue.indexOf('€') >= 0) n.nodeValue = n.nodeValue.replace(/€/g, '$');
+    }
+  }
+
+  // -------- grafico kg in piccolo --------
+
+  const graphCache = new Map();   // tema + src -> div con la view già disegnata
+
+  // static/js/theme.js ridisegna solo i grafici nella pagina: qui una view per tema
+  function graphKey(src) {
+    return (window.BookTheme ? window.BookTheme.current() : '') + ' ' + src;
+  }
+
+  // la view si crea dentro la scheda visibile (kg prende le misure dal div)
+  function miniGraph(src, into) {
+    const key = graphKey(src);
+    if (graphCache.has(key)) {
+      into.appendChild(graphCache.get(key));
+      return Promise.resolve();
+    }
+    if (!window.KG || !window.jsyaml) return Promise.reject(new Error('kg'));
+
+    return fetch(src, { credentials: 'same-origin' })
+      .then((r) => {
+        if (!r.ok) throw new Error(String(r.status));
+        return r.text();
+      })
+      .then((text) => {
+        // come loadGraphs() di kg
+        const data = JSON.parse(JSON.stringify(window.jsyaml.safeLoad(text))
+          .replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&'));
+        const div = document.createElement('div');
+        div.className = 'link-preview-graph';
+        into.appendChild(div);
+        new window.KG.View(div, data);
+        // stili di kg; loadGraphs() (lettore SPA) salta i div che hanno già l'svg
+        div.classList.add('kg-container', 'kg-loaded');
+        graphCache.set(key, div);
+      });
+  }
+
+  // -------- scheda --------
+
+  let card = null;
+  let cardFor = null;
+  let showTimer = 0;
+  let hideTimer = 0;
+  let seq = 0;
+
+  function ensureCard() {
+    if (card) return card;
+
+    card = document.createElement('div');
+    card.id = CARD_ID;
+    card.className = 'link-preview';
+    card.setAttribute('role', 'tooltip');
+    card.hidden = true;
+
+    card.addEventListener('mouseenter', () => window.clearTimeout(hideTimer));
+    card.addEventListener('mouseleave', scheduleHide);
+    document.body.appendChild(card);
+    return card;
+  }
+
+  function line(className, text) {
+    const el = document.createElement('div');
+    el.className = className;
+    el.textContent = text;
+    return el;
+  }
+
+  function fill(el, t, doc) {
+    const scope = doc || contentRoot();
+    const target = byId(scope, t.anchor);
+    const base = doc ? new URL(t.path, window.location.href) : null;
+
+    el.textContent = '';
+    const h1 = scope.querySelector('article h1');
+    const h2 = subsectionOf(scope, target);
+    const where = line('link-preview-where', [textOf(h1), textOf(h2)].filter(Boolean).join(' › '));
+    el.appendChild(where);
+    if (doc) renderMath(where);
+
+    const graph = target && /^gr_/.test(t.anchor) ? graphAfter(scope, target) : null;
+    if (graph) {
+      el.classList.add('link-preview-wide');
+      const figure = graph.closest('figure');
+      const label = figure ? figure.querySelector('.figure-number') : null;
+      if (label) el.appendChild(line('link-preview-figure', textOf(label)));
+
+      const status = line('link-preview-status', msg('loading'));
+      el.appendChild(status);
+      const src = new URL(graph.getAttribute('src'), base || window.location.href).href;
+      return miniGraph(src, el).then(() => status.remove(), () => { status.textContent = msg('failed'); });
+    }
+
+    const p = paragraphAt(scope, target);
+    if (p) {
+      const body = document.createElement('div');
+      body.className = 'link-preview-text';
+      body.appendChild(inertCopy(p, base));
+      el.appendChild(body);
+      if (doc) renderMath(body);
+    }
+    return Promise.resolve();
+  }
+
+  function show(a) {
+    const t = targetOf(a);
+    if (!t) return;
+
+    window.clearTimeout(hideTimer);
+    const el = ensureCard();
+    if (cardFor === a && !el.hidden) return;
+    if (cardFor) cardFor.removeAttribute('aria-describedby');
+    cardFor = a;
+
+    const mine = ++seq;
+    el.textContent = '';
+    el.classList.remove('link-preview-wide');
+    el.appendChild(line('link-preview-status', msg('loading')));
+    el.hidden = false;
+    a.setAttribute('aria-describedby', CARD_ID);
+    place(el, a);
+
+    loadPage(t)
+      .then((doc) => {
+        if (mine !== seq) return null;
+        const done = fill(el, t, doc);
+        place(el, a);
+        return done.then(() => { if (mine === seq) place(el, a); });
+      })
+      .catch(() => {
+        if (mine !== seq) return;
+        el.textContent = '';
+        el.appendChild(line('link-preview-status', msg('failed')));
+      });
+  }
+
+  // Sotto il link; sopra se in fondo allo schermo non c'è spazio (come il tooltip del glossario)
+  function place(el, a) {
+    const r = a.getBoundingClientRect();
+    const w = el.offsetWidth;
+    const h = el.offsetHeight;
+    const left = Math.max(8, Math.min(r.left, window.innerWidth - w - 8));
+    const below = r.bottom + 6;
+    const top = (below + h > window.innerHeight - 8 && r.top - h - 6 > 8) ? r.top - h - 6 : below;
+
+    el.style.left = (left + window.scrollX) + 'px';
+    el.style.top = (top + window.scrollY) + 'px';
+  }
+
+  function hide() {
+    seq++;
+    window.clearTimeout(showTimer);
+    window.clearTimeout(hideTimer);
+    if (card) card.hidden = true;
+    if (cardFor) cardFor.removeAttribute('aria-describedby');
+    cardFor = null;
+  }
+
+  function scheduleHide() {
+    window.clearTimeout(hideTimer);
+    hideTimer = window.setTimeout(hide, 250);
+  }
+
+  function scheduleShow(a) {
+    window.clearTimeout(showTimer);
+    showTimer = window.setTimeout(() => show(a), SHOW_DELAY);
+  }
+
+  // -------- eventi --------
+
+  document.addEventListener('mouseover', (ev) => {
+    const a = linkAt(ev);
+    if (a && targetOf(a)) {
+      window.clearTimeout(hideTimer);
+      if (a !== cardFor) scheduleShow(a);
+    }
+  });
+
+  document.addEventListener('mouseout', (ev) => {
+    const a = linkAt(ev);
+    if (!a || (ev.relatedTarget && a.contains(ev.relatedTarget))) return;
+    window.clearTimeout(showTimer);
+    if (a === cardFor) scheduleHide();
+  });
+
+  document.addEventListener('focusin', (ev) => {
+    const a = linkAt(ev);
+    if (a && targetOf(a)) scheduleShow(a);
+    else if (!(card && card.contains(ev.target))) hide();
+  });
+
+  // pressione lunga sul link (touch, penna): la scheda al posto del menu del browser
+  let pressTimer = 0;
+  let pressed = null;
+
+  document.addEventListener('pointerdown', (ev) => {
+    if (ev.pointerType === 'mouse') return;
+    const a = linkAt(ev);
+    pressed = null;
+    if (!a || !targetOf(a)) return;
+    window.clearTimeout(pressTimer);
+    pressTimer = window.setTimeout(() => {
+      pressed = a;
+      show(a);
+    }, LONG_PRESS);
+  });
+
+  ['pointerup', 'pointercancel'].forEach((type) => {
+    document.addEventListener(type, () => window.clearTimeout(pressTimer));
+  });
+
+  document.addEventListener('contextmenu', (ev) => {
+    if (pressed && linkAt(ev) === pressed) ev.preventDefault();
+  });
+
+  document.addEventListener('click', (ev) => {
+    const a = linkAt(ev);
+
+    // il tap che chiude una pressione lunga non naviga
+    if (pressed && a === pressed) {
+      ev.preventDefault();
+      pressed = null;
+      return;
+    }
+    pressed = null;
+
+    const t = a ? targetOf(a) : null;
+    if (!t) {
+      if (card && !card.hidden && !card.contains(ev.target)) hide();
+      return;
+    }
+
+    hide();
+    // gli anchor della stessa pagina restano al browser
+    if (!inFrame || t.same || ev.defaultPrevented || ev.button !== 0 || ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey) return;
+
+    ev.preventDefault();
+    window.parent.postMessage({ type: 'toc-load', path: t.path + t.search, anchor: t.anchor }, window.location.origin);
+  });
+
+  document.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Escape' && card && !card.hidden) {
+      if (cardFor && card.contains(document.activeElement)) cardFor.focus();
+      hide();
+    }
+  });
+
+  // il lettore SPA cambia pagina senza ricaricare il parent
+  window.addEventListener('book-navigate', hide);
+  window.addEventListener('beforeprint', hide);
+})();
@@ -0,0 +1,553 @@
+/* navigation.js
+ *
+ * Navigazione del layout toc_split: un solo modulo decide cosa caricare nell'iframe
+ * (#toc-split-frame) e come scriverlo nell'URL del parent. Lo usano toc-history.js,
+ * toc-accordion.js, search.js e, dall'iframe, next-previous.html, toc-big e l'indice analitico.
+ *
+ * URL del parent: ?load=/en/I/2/3%3FM%3D100#subsec_VDB
+ * - path "pulito" della pagina (senza baseurl; le sezioni senza .html)
+ * - parametri dei grafici kg (es. ?M=100) dentro load, codificati, così non si mescolano
+ *   con i parametri del parent; kg li legge dall'URL dell'iframe
+ * - anchor della sottosezione nell'hash del parent
+ *
+ * Modalità SPA (?spa=1, static/js/reader-spa.js): sezioni e prefazione si mostrano senza iframe
+ * in #toc-split-reader; le altre pagine restano nell'iframe. URL ed eventi sono gli stessi.
+ *
+ * API: window.BookNav = {
+ *   navigate(path, { anchor, push, query }) -> Promise(loc)   (risolta quando la pagina è caricata)
+ *       path: '/en/I/2/3', './I/2/3', '/micro26_wip5/en/I/2/3.html', URL assoluto; anche con ?query e #anchor
+ *       anchor/query espliciti vincono su quelli nel path; push: false = replaceState (default: true)
+ *   reload(), current() -> { path, query, anchor }, parse(href) -> loc | null, frameUrl(loc), lang
+ *   content() -> { win, doc, root } della pagina mostrata (iframe: root = doc; SPA: win = window,
+ *       root = #toc-split-reader) oppure null
+ * }
+ * Eventi su window (detail = { path, query, anchor, source }):
+ *   'book-navigate'  prima di caricare la pagina; source: 'user' | 'frame' | 'history' | 'boot'
+ *   'book-loaded'    pagina caricata nell'iframe o nel lettore SPA (anche da un link interno)
+ * Dall'iframe: parent.postMessage({ type: 'toc-load', path, anchor }) -> navigate(path, { anchor })
+ * La stessa pagina nell'altra lingua ricarica il parent tradotto allo stesso punto della sezione,
+ * con i valori correnti dei parametri dei grafici (vedi "cambio lingua" più sotto).
+ *
+ * Non fa nulla dentro l'iframe.
+ */
+(function () {
+  'use strict';
+
+  if (window.self !== window.top) return;
+
+  const frame =
+    document.getElementById('toc-split-frame') ||
+    document.getElementById('content-frame') ||
+    document.querySelector('iframe.toc-split-frame') ||
+    document.querySelector('iframe[data-toc-split]');
+
+  if (!frame) return;
+
+  const reader = window.BookReader || null;   // modalità SPA (static/js/reader-spa.js), se attiva
+
+  // --- lingua e radice (/micro26_wip5/en/) -----------------------------------
+
+  function getLangRootPath() {
+    const p = window.location.pathname;
+    const m = p.match(/^(.*\/)(it|en)\/(?:index(?:\.html)?)?$/);
+    if (m) return m[1] + m[2] + '/';
+
+    const idxIt = p.indexOf('/it/');
+    const idxEn = p.indexOf('/en/');
+    const idx = idxIt >= 0 ? idxIt : idxEn;
+    if (idx >= 0) return p.slice(0, idx + 4);
+
+    return p.endsWith('/') ? p : (p + '/');
+  }
+
+  const LANG_ROOT = getLangRootPath();
+  const LANG = (LANG_ROOT.match(/\/(it|en)\/$/) || [null, 'it'])[1];
+
+  function isAbsHttp(u) {
+    return /^https?:\/\//i.test(u);
+  }
+
+  // --- path "puliti" ----------------------------------------------------------
+
+  // '/micro26_wip5/en/I/2/3.html?M=100#subsec' -> { path: '/en/I/2/3', query: 'M=100', anchor: 'subsec' }
+  function parse(href) {
+    if (!href) return null;
+
+    // una stringa percent-encoded (es. dal parametro load) si decodifica subito
+    let raw = String(href);
+    try {
+      if (/%[0-9A-Fa-f]{2}/.test(raw)) raw = decodeURIComponent(raw);
+    } catch (e) {}
+
+    const hashAt = raw.indexOf('#');
+    const anchor = hashAt >= 0 ? raw.slice(hashAt + 1) : '';
+    if (hashAt >= 0) raw = raw.slice(0, hashAt);
+
+    const qAt = raw.indexOf('?');
+    const query = qAt >= 0 ? raw.slice(qAt + 1) : '';
+    if (qAt >= 0) raw = raw.slice(0, qAt);
+
+    let s = raw;
+    if (isAbsHttp(s)) {
+      try {
+        const u = new URL(s);
+        const m = u.pathname.match(/\/(it|en)\/(.*)$/);
+        if (!m) return { path: s, query, anchor, external: true };
+        s = '/' + m[1] + '/' + m[2];
+      } catch (e) {
+        return null;
+      }
+    } else {
+      if (s.startsWith('./')) s = s.slice(2);
+
+      if (s.startsWith('/')) {
+        const m = s.match(/\/(it|en)\/(.*)$/);
+        if (m) s = '/' + m[1] + '/' + m[2];
+        else if (s.startsWith(LANG_ROOT)) s = '/' + LANG + '/' + s.slice(LANG_ROOT.length);
+        else s = '/' + LANG + '/' + s.replace(/^\/+/, '');
+      } else {
+        s = '/' + LANG + '/' + s;
+      }
+    }
+
+    // le sezioni si scrivono senza .html (come nei link dell'indice): /en/I/2/3
+    s = s.replace(/\/+$/, '').replace(/\/(\d+)\.html$/, '/$1').replace(/\/index\.html$/, '');
+    if (!s) return null;
+
+    return { path: s, query, anchor };
+  }
+
+  function samePage(a, b) {
+    return !!a && !!b && a.path === b.path && (a.query || '') === (b.query || '');
+  }
+
+  function frameUrl(loc) {
+    if (!loc) return null;
+    if (loc.external) return loc.path + (loc.query ? '?' + loc.query : '') + (loc.anchor ? '#' + loc.anchor : '');
+
+    const m = loc.path.match(/^\/(it|en)\/(.*)$/);
+    const rel = (m ? m[2] : loc.path).replace(/^\/+/, '');
+    const root = m ? LANG_ROOT.replace(/\/(it|en)\/$/, `/${m[1]}/`) : LANG_ROOT;
+
+    const u = new URL(rel, window.location.origin + root);
+    if (loc.query) u.search = '?' + loc.query;
+    if (loc.anchor) u.hash = '#' + encodeURIComponent(loc.anchor);
+    return u.toString();
+  }
+
+  // valore di ?load=: path leggibile, query del grafico codificata
+  function loadParam(loc) {
+    return loc.path + (loc.query ? encodeURIComponent('?' + loc.query) : '');
+  }
+
+  // --- URL del parent -----------------------------------------------------------
+
+  function getLoadFromUrl() {
+    try {
+      const raw = window.location.search.replace(/^\?/, '');
+      if (!raw) return null;
+
+      for (const p of raw.split('&')) {
+        const eq = p.indexOf('=');
+        if (eq < 0) continue;
+        if (p.slice(0, eq) === 'load') return p.slice(eq + 1) || null;
+      }
+    } catch (e) {}
+    return null;
+  }
+
+  // Anchor di sottosezione nell'hash del parent (es. ?load=/en/I/2/3#subsec_VDB)
+  function getAnchorFromUrl() {
+    const h = (window.location.hash || '').replace(/^#/, '');
+    try { return decodeURIComponent(h); } catch (e) { return h; }
+  }
+
+  function locFromUrl() {
+    const load = getLoadFromUrl();
+    if (!load) return null;
+    const loc = parse(load);
+    if (loc) loc.anchor = getAnchorFromUrl() || loc.anchor;
+    return loc;
+  }
+
+  function defaultLoc() {
+    return { path: `/${LANG}/toc-big.html`, query: '', anchor: '' };
+  }
+
+  // false se il parent deve essere ricaricato nell'altra lingua (lo fa già questa funzione)
+  function writeUrl(loc, push) {
+    const mLang = loc.path.match(/^\/(it|en)\//);
+    const curLang = (window.location.pathname.match(/\/(it|en)\//) || [null, null])[1];
+    if (mLang && curLang && curLang !== mLang[1]) {
+      carryReadingPosition(loc);
+      const newPath = window.location.pathname.replace(/\/(it|en)\//, `/${mLang[1]}/`);
+      window.location.href = newPath + '?load=' + loadParam(loc) + (loc.anchor ? '#' + loc.anchor : '');
+      return false;
+    }
+
+    try {
+      const params = window.location.search
+        .replace(/^\?/, '')
+        .split('&')
+        .filter(kv => kv && kv.split('=')[0] !== 'load');
+      params.push('load=' + loadParam(loc));
+
+      const newUrl = window.location.pathname + '?' + params.join('&') + (loc.anchor ? '#' + loc.anchor : '');
+      if (push) history.pushState({}, '', newUrl);
+      else history.replaceState({}, '', newUrl);
+
+      try { sessionStorage.setItem('toc_last_load', loc.path); } catch (e) {}
+    } catch (e) {}
+    return true;
+  }
+
+  // --- cambio lingua: stesso punto della sezione ---------------------------------
+  //
+  // Prima di ricaricare il parent tradotto si salva (sessionStorage) dove si sta leggendo:
+  // l'anchor più vicino sopra il bordo della finestra e la frazione del tratto fino al successivo,
+  // la sottosezione (h2) per posizione, la frazione della pagina. Dopo il load si cerca lo stesso
+  // anchor (gli id sono quasi tutti condivisi tra le edizioni: gr_consumer/VDB; alcuni cambiano
+  // solo di maiuscole), poi l'h2 con lo stesso numero d'ordine, infine la frazione della pagina.
+  // I parametri dei grafici kg spostati dal lettore passano nella query (?M=100).
+
+  const LANG_SWITCH_KEY = 'lang_switch_position';
+  const LANG_SWITCH_TTL = 30000;
+
+  function swapLang(path, lang) {
+    return path.replace(/^\/(it|en)\//, `/${lang}/`);
+  }
+
+  // elementi con id del testo (non quelli interni a grafici e formule), in ordine di pagina
+  function anchorsOf(c) {
+    const root = c.root.querySelector('article') || c.doc.body;
+    if (!root) return [];
+    return Array.from(root.querySelectorAll('[id]'))
+      .filter(el => !el.closest('.kg-container, .katex, svg') && el.getClientRects().length);
+  }
+
+  function topOf(win, el) {
+    return el.getBoundingClientRect().top + win.scrollY;
+  }
+
+  // ultimo elemento della lista sopra y e frazione del tratto fino al successivo
+  function spanAt(win, list, y) {
+    let i = -1;
+    const tops = list.map(el => topOf(win, el));
+    tops.forEach((top, k) => { if (top <= y + 1) i = k; });
+    if (i < 0) return null;
+
+    const end = i + 1 < tops.length ? tops[i + 1] : win.document.documentElement.scrollHeight;
+    const len = end - tops[i];
+    return { i, frac: len > 0 ? Math.min(1, Math.max(0, (y - tops[i]) / len)) : 0 };
+  }
+
+  function yAt(win, list, i, frac) {
+    const top = topOf(win, list[i]);
+    const end = i + 1 < list.length ? topOf(win, list[i + 1]) : win.document.documentElement.scrollHeight;
+    return top + frac * Math.max(0, end - top);
+  }
+
+  function readingPosition(c) {
+    const win = c.win;
+    const doc = c.doc;
+    const y = win.scrollY;
+    const max = doc.documentElement.scrollHeight - win.innerHeight;
+    const pos = { anchor: '', frac: 0, h2: -1, h2frac: 0, ratio: max > 0 ? y / max : 0 };
+
+    const anchors = anchorsOf(c);
+    const a = spanAt(win, anchors, y);
+    if (a) {
+      pos.anchor = anchors[a.i].id;
+      pos.frac = a.frac;
+    }
+
+    const heads = anchors.filter(el => el.tagName === 'H2');
+    const h = spanAt(win, heads, y);
+    if (h) {
+      pos.h2 = h.i;
+      pos.h2frac = h.frac;
+    }
+    return pos;
+  }
+
+  function restorePosition(c, pos) {
+    const win = c.win;
+    const doc = c.doc;
+    const anchors = anchorsOf(c);
+
+    let y = null;
+    if (pos.anchor) {
+      const want = pos.anchor.toLowerCase();
+      let i = anchors.findIndex(el => el.id === pos.anchor);
+      if (i < 0) i = anchors.findIndex(el => el.id.toLowerCase() === want);
+      if (i >= 0) y = yAt(win, anchors, i, pos.frac);
+    }
+    if (y === null && pos.h2 >= 0) {
+      const heads = anchors.filter(el => el.tagName === 'H2');
+      if (heads[pos.h2]) y = yAt(win, heads, pos.h2, pos.h2frac);
+    }
+    if (y === null) {
+      y = pos.ratio * Math.max(0, doc.documentElement.scrollHeight - win.innerHeight);
+    }
+    win.scrollTo(0, Math.round(y));
+  }
+
+  // valori dei parametri kg cambiati dal lettore; vince il grafico visibile
+  function graphParams(win) {
+    const views = Array.isArray(win.views) ? win.views.slice() : [];   // kg: var views globale
+    const visible = (v) => {
+      try {
+        const r = v.div.node().getBoundingClientRect();
+        return r.bottom > 0 && r.top < win.innerHeight;
+      } catch (e) {
+        return false;
+      }
+    };
+    views.sort((a, b) => visible(a) - visible(b));
+
+    const out = {};
+    views.forEach((v) => {
+      const m = v && v.model;
+      if (!m || !Array.isArray(m.params)) return;
+      m.params.forEach((p, k) => {
+        const init = m.initialParams && m.initialParams[k];
+        if (init && parseFloat(init.value) === p.value) return;
+        out[p.name] = typeof p.formatted === 'function' ? p.formatted() : String(p.value);
+      });
+    });
+    return out;
+  }
+
+  // solo per la stessa pagina nell'altra lingua; loc.query riceve i parametri dei grafici
+  function carryReadingPosition(loc) {
+    const here = shownLoc();
+    const lang = (loc.path.match(/^\/(it|en)\//) || [null, null])[1];
+    if (!here || !lang || swapLang(here.path, lang) !== loc.path) return;
+
+    const c = content();
+    if (!c) return;
+
+    try {
+      const params = new URLSearchParams(loc.query || '');
+      const changed = graphParams(c.win);
+      Object.keys(changed).forEach(name => params.set(name, changed[name]));
+      loc.query = params.toString();
+    } catch (e) {}
+
+    try {
+      const pos = readingPosition(c);
+      pos.path = loc.path;
+      pos.t = Date.now();
+      sessionStorage.setItem(LANG_SWITCH_KEY, JSON.stringify(pos));
+      loc.anchor = '';   // l'anchor dell'altra edizione potrebbe non esistere: decide restorePosition
+    } catch (e) {}
+  }
+
+  // la posizione salvata, una volta sola, quando nell'iframe arriva la pagina tradotta
+  function takeReadingPosition(path) {
+    try {
+      const pos = JSON.parse(sessionStorage.getItem(LANG_SWITCH_KEY) || 'null');
+      if (!pos) return null;
+      const fresh = Date.now() - pos.t < LANG_SWITCH_TTL;
+      if (fresh && pos.path !== path) return null;   // es. il src iniziale dell'iframe
+      sessionStorage.removeItem(LANG_SWITCH_KEY);
+      return fresh ? pos : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function restoreAfterLangSwitch(loc) {
+    const pos = takeReadingPosition(loc.path);
+    const c = pos && content();
+    if (!c) return;
+
+    restorePosition(c, pos);
+    // grafici e formule possono spostare il testo dopo il load: si riprova se il lettore non ha scrollato
+    const y0 = c.win.scrollY;
+    setTimeout(() => {
+      try {
+        if (Math.abs(c.win.scrollY - y0) < 2) restorePosition(c, pos);
+      } catch (e) {}
+    }, 700);
+  }
+
+  // --- iframe e lettore SPA -------------------------------------------------------
+
+  let current = null;        // ultima pagina richiesta
+  let pending = [];          // resolve() di chi aspetta il prossimo load
+  let shown = null;          // pagina nel lettore SPA (null: si vede l'iframe)
+
+  function frameLoc() {
+    try {
+      const l = frame.contentWindow.location;
+      if (!l || l.href === 'about:blank') return null;
+      return parse(l.pathname + l.search + l.hash);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // senza accumulare history dentro l'iframe (location.replace), con src come ripiego
+  function loadFrame(url) {
+    try {
+      if (frame.contentWindow && frame.contentWindow.location) {
+        frame.contentWindow.location.replace(url);
+        return;
+      }
+    } catch (e) {}
+    frame.src = url;
+  }
+
+  function shownLoc() {
+    return shown || frameLoc();
+  }
+
+  function content() {
+    if (shown) return reader.content();
+    try {
+      const win = frame.contentWindow;
+      if (!win || !win.document) return null;
+      return { win, doc: win.document, root: win.document };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function emit(type, loc, source) {
+    window.dispatchEvent(new CustomEvent(type, {
+      detail: { path: loc.path, query: loc.query || '', anchor: loc.anchor || '', source }
+    }));
+  }
+
+  function go(loc, push, source) {
+    current = { path: loc.path, query: loc.query || '', anchor: loc.anchor || '', external: loc.external };
+    emit('book-navigate', current, source);
+    if (!loc.external && !writeUrl(current, push)) return new Promise(() => {});
+
+    const wasHere = samePage(shownLoc(), current);
+
+    if (reader && reader.handles(current)) {
+      // stessa pagina, solo un altro anchor: niente fetch
+      if (wasHere) {
+        shown = current;
+        reader.reveal(current.anchor);
+        return Promise.resolve(current);
+      }
+      const waiting = new Promise(resolve => pending.push(resolve));
+      showInReader(current);
+      return waiting;
+    }
+
+    if (shown) {
+      shown = null;
+      reader.hide();
+    }
+    loadFrame(frameUrl(current));
+
+    // stessa pagina, solo un altro anchor: niente load
+    if (wasHere) return Promise.resolve(current);
+    return new Promise(resolve => pending.push(resolve));
+  }
+
+  // SPA: se la pagina non si riesce a scaricare (o non ha un <article>) si apre nell'iframe
+  function showInReader(loc) {
+    reader.show(frameUrl(loc)).then((done) => {
+      if (!done || loc !== current) return;
+      shown = loc;
+      reader.reveal(loc.anchor);
+      loaded(loc);
+    }).catch(() => {
+      if (loc !== current) return;
+      shown = null;
+      reader.hide();
+      loadFrame(frameUrl(loc));
+    });
+  }
+
+  // pagina pronta (iframe o lettore SPA): si risolvono le attese
+  function loaded(loc) {
+    const waiting = pending;
+    pending = [];
+    waiting.forEach(resolve => resolve(loc));
+    emit('book-loaded', loc, 'frame');
+    restoreAfterLangSwitch(loc);
+  }
+
+  function navigate(target, opts) {
+    const o = opts || {};
+    const loc = typeof target === 'string' ? parse(target) : Object.assign({}, target);
+    if (!loc || !loc.path) return Promise.resolve(null);
+
+    if (o.anchor !== undefined) loc.anchor = o.anchor || '';
+    if (o.query !== undefined) loc.query = o.query || '';
+    return go(loc, o.push !== false, o.source || 'user');
+  }
+
+  function reload() {
+    const loc = current || locFromUrl() || defaultLoc();
+    if (reader && reader.handles(loc)) {
+      current = loc;
+      showInReader(loc);
+      return;
+    }
+    if (samePage(frameLoc(), loc)) {
+      try {
+        frame.contentWindow.location.reload();
+        return;
+      } catch (e) {}
+    }
+    loadFrame(frameUrl(loc));
+  }
+
+  // Pagina caricata: se ci si è arrivati con un link non intercettato, l'URL del parent si allinea
+  frame.addEventListener('load', () => {
+    const loc = frameLoc();
+    if (!loc) return;
+    // la pagina è nel lettore SPA (l'iframe la carica solo se il lettore non ci riesce)
+    if (shown || (reader && current && reader.handles(current) && !samePage(loc, current))) return;
+
+    if (current && !samePage(loc, current)) {
+      // load di una pagina precedente (es. il src iniziale): si aspetta quella richiesta
+      if (pending.length) return;
+      current = { path: loc.path, query: loc.query, anchor: loc.anchor };
+      writeUrl(current, false);
+    }
+
+    loaded(current || loc);
+  });
+
+  // --- avvio, back/forward, messaggi dall'iframe ----------------------------------
+
+  window.addEventListener('DOMContentLoaded', () => {
+    go(locFromUrl() || defaultLoc(), false, 'boot');
+  });
+
+  window.addEventListener('popstate', () => {
+    go(locFromUrl() || defaultLoc(), false, 'history');
+  });
+
+  window.addEventListener('message', (ev) => {
+    try {
+      if (ev.origin !== window.location.origin) return;
+    } catch (e) {
+      return;
+    }
+
+    const data = ev.data;
+    if (!data || data.type !== 'toc-load' || typeof data.path !== 'string') return;
+
+    const anchor = typeof data.anchor === 'string' ? data.anchor : undefined;
+    navigate(data.path, { anchor, source: 'frame' });
+  }, false);
+
+  window.BookNav = {
+    navigate,
+    reload,
+    current: () => (current ? Object.assign({}, current) : null),
+    parse,
+    frameUrl,
+    content,
+    lang: LANG
+  };
+})();
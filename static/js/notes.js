@@ -0,0 +1,244 @@
+/*
+  "My notes" panel for the textbook (toc_split toolbar).
+  - Lists the highlights and notes saved by static/js/annotations.js (localStorage "annotations"),
+    grouped by chapter and in book order; only the edition of the current language
+  - A click opens the section (static/js/navigation.js) and scrolls to the highlight
+  - Highlights whose text is no longer found in the section are listed as "not found"
+  - Export to Markdown (reading-notes-en.md)
+  - Updates when a section saves a note (storage event from the iframe or another tab)
+*/
+
+(function () {
+  'use strict';
+
+  if (window.self !== window.top) return;
+
+  const KEY = 'annotations';
+  const VERSION = 1;
+
+  const btn = document.getElementById('content-notes');
+  const panel = document.getElementById('notes-panel');
+  const list = document.getElementById('notes-list');
+  const exportBtn = document.getElementById('notes-export');
+  if (!btn || !panel || !list) return;
+
+  const LANG = (window.location.pathname.match(/\/(it|en)\//) || [null, 'it'])[1];
+  const MESSAGES = {
+    it: {
+      empty: 'Nessuna nota. Seleziona del testo in una sezione per evidenziarlo o annotarlo.',
+      orphan: 'testo non più trovato nella sezione',
+      preface: 'Prefazione',
+      title: 'Le mie note',
+      exported: 'Esportato: {x}'
+    },
+    en: {
+      empty: 'No notes yet. Select text in a section to highlight or annotate it.',
+      orphan: 'text no longer found in the section',
+      preface: 'Preface',
+      title: 'My notes',
+      exported: 'Exported: {x}'
+    }
+  };
+
+  function t(key, x) {
+    return MESSAGES[LANG][key].replace('{x}', x);
+  }
+
+  function load() {
+    try {
+      const s = JSON.parse(localStorage.getItem(KEY) || 'null');
+      if (s && s.version === VERSION && s.pages && typeof s.pages === 'object') return s;
+    } catch (_) {}
+    return { version: VERSION, pages: {} };
+  }
+
+  // /en/I/2/3 in ordine di libro (parti I..V, capitoli e sezioni numerici)
+  const collator = new Intl.Collator('en', { numeric: true });
+
+  // [{ chapter, pages: [{ path, title, items }] }]
+  function grouped() {
+    const pages = load().pages;
+    const paths = Object.keys(pages)
+      .filter(p => p.startsWith(`/${LANG}/`) && pages[p] && Array.isArray(pages[p].items) && pages[p].items.length)
+      .sort(collator.compare);
+
+    const out = [];
+    paths.forEach((path) => {
+      const page = pages[path];
+      const chapter = page.chapter || t('preface');
+      let group = out[out.length - 1];
+      if (!group || group.chapter !== chapter) {
+        group = { chapter, pages: [] };
+        out.push(group);
+      }
+      const items = page.items.slice().sort((a, b) => (a.start || 0) - (b.start || 0));
+      group.pages.push({ path, title: page.title || path, items });
+    });
+    return out;
+  }
+
+  // -------- pannello --------
+
+  function excerpt(s, n) {
+    s = String(s || '').replace(/\s+/g, ' ').trim();
+    return s.length > n ? s.slice(0, n - 1) + '…' : s;
+  }
+
+  function openItem(path, id) {
+    if (!window.BookNav) return;
+    close();
+    window.BookNav.navigate(path, { anchor: '' }).then(() => {
+      // la pagina nell'iframe, oppure questa finestra con il lettore SPA
+      const shown = window.BookNav.content();
+      try {
+        shown.win.postMessage({ type: 'annotation-reveal', id }, window.location.origin);
+      } catch (_) {}
+    });
+  }
+
+  function render() {
+    list.textContent = '';
+    const groups = grouped();
+
+    if (!groups.length) {
+      const p = document.createElement('p');
+      p.className = 'notes-empty';
+      p.textContent = t('empty');
+      list.appendChild(p);
+      if (exportBtn) exportBtn.disabled = true;
+      return;
+    }
+    if (exportBtn) exportBtn.disabled = false;
+
+    groups.forEach((g) => {
+      const h = document.createElement('div');
+      h.className = 'notes-chapter';
+      h.textContent = g.chapter;
+      list.appendChild(h);
+
+      g.pages.forEach((page) => {
+        const sec = document.createElement('div');
+        sec.className = 'notes-section';
+        sec.textContent = page.title;
+        list.appendChild(sec);
+
+        const ul = document.createElement('ul');
+        ul.className = 'notes-items';
+        page.items.forEach((item) => {
+          const li = document.createElement('li');
+          li.className = `notes-item notes-item-${item.color || 'yellow'}`;
+
+          const a = document.createElement('a');
+          a.href = '#';
+          a.className = 'notes-quote';
+          a.textContent = '“' + excerpt(item.exact, 160) + '”';
+          a.addEventListener('click', (ev) => {
+            ev.preventDefault();
+            openItem(page.path, item.id);
+          });
+          li.appendChild(a);
+
+          if (item.note) {
+            const note = document.createElement('div');
+            note.className = 'notes-note';
+            note.textContent = item.note;
+            li.appendChild(note);
+          }
+          if (item.orphan) {
+            const warn = document.createElement('div');
+            warn.className = 'notes-orphan';
+            warn.textContent = t('orphan');
+            li.appendChild(warn);
+          }
+          ul.appendChild(li);
+        });
+        list.appendChild(ul);
+      });
+    });
+  }
+
+  function isOpen() {
+    return !panel.hidden;
+  }
+
+  function open() {
+    render();
+    panel.hidden = false;
+    btn.setAttribute('aria-expanded', 'true');
+    const first = panel.querySelector('a, button:not(:disabled)');
+    if (first) first.focus();
+  }
+
+  function close() {
+    panel.hidden = true;
+    btn.setAttribute('aria-expanded', 'false');
+  }
+
+  function toggle() {
+    if (isOpen()) close();
+    else open();
+  }
+
+  btn.addEventListener('click', toggle);
+  btn.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      toggle();
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isOpen()) {
+      close();
+      btn.focus();
+    }
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!isOpen()) return;
+    if (panel.contains(e.target) || btn.contains(e.target)) return;
+    close();
+  });
+
+  window.addEventListener('storage', (ev) => {
+    if ((ev.key === KEY || ev.key === null) && isOpen()) render();
+  });
+
+  // -------- Markdown --------
+
+  function quoteLines(s) {
+    return String(s).split(/\r?\n/).map(l => '> ' + l).join('\n');
+  }
+
+  function toMarkdown() {
+    const parts = [`# ${t('title')}`, ''];
+    grouped().forEach((g) => {
+      parts.push(`## ${g.chapter}`, '');
+      g.pages.forEach((page) => {
+        parts.push(`### ${page.title}`, '');
+        page.items.forEach((item) => {
+          parts.push(quoteLines(item.exact || ''), '');
+          if (item.note) parts.push(item.note, '');
+          if (item.orphan) parts.push(`*(${t('orphan')})*`, '');
+        });
+      });
+    });
+    return parts.join('\n');
+  }
+
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => {
+      const name = `reading-notes-${LANG}.md`;
+      const blob = new Blob([toMarkdown()], { type: 'text/markdown' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = name;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      exportBtn.title = t('exported', name);
+    });
+  }
+})();
@@ -0,0 +1,361 @@
+/*
+  Offline reading for the textbook (toc_split toolbar).
+  - Opt-in: nothing is registered until the reader asks to download a chapter or the whole book
+  - The service worker (/sw.js) keeps sections, graphs/*.yml and search.json in Cache Storage
+  - The list of files comes from search.json: pages of the chapter + the graphs they include
+  - Toolbar badge with the storage used; panel with progress, storage estimate and "remove downloads"
+  - After a site rebuild the new service worker re-downloads what had been saved ("sync")
+*/
+
+(function () {
+  'use strict';
+
+  const ENABLED_KEY = 'offline_enabled';
+
+  const btn = document.getElementById('content-offline');
+  const panel = document.getElementById('offline-panel');
+  if (!btn || !panel) return;
+
+  const usageEl = document.getElementById('offline-usage');
+  const chapterBtn = document.getElementById('offline-chapter');
+  const bookBtn = document.getElementById('offline-book');
+  const clearBtn = document.getElementById('offline-clear');
+  const progressEl = document.getElementById('offline-progress');
+  const statusEl = document.getElementById('offline-status');
+  const storageEl = document.getElementById('offline-storage');
+
+  // -------- helpers (baseurl + language) --------
+
+  function thisScript() {
+    return Array.from(document.scripts || []).find(s => /\/static\/js\/offline\.js(\?|$)/.test(s.src || ''));
+  }
+
+  function getBasePath() {
+    const me = thisScript();
+    if (!me) return '';
+    try {
+      return new URL(me.src, window.location.href).pathname.replace(/\/static\/js\/offline\.js.*$/, '');
+    } catch {
+      return '';
+    }
+  }
+
+  const BASE = getBasePath();
+  const BUILD = (thisScript() && thisScript().dataset.build) || '';
+  const LANG = (window.location.pathname.match(/\/(it|en)\//) || [null, 'it'])[1];
+
+  const MESSAGES = {
+    it: {
+      unsupported: 'Questo browser non permette la lettura offline.',
+      chapter: 'Scarica il capitolo {x}',
+      chapterDone: 'Capitolo {x} disponibile offline ✓',
+      noChapter: 'Apri una sezione per scaricarne il capitolo',
+      downloading: 'Download in corso… {x}',
+      downloaded: 'Fatto: {x} file disponibili offline.',
+      failed: '{x} file non scaricati: riprova quando la connessione è stabile.',
+      refreshed: 'Il libro è stato aggiornato: contenuti offline riscaricati.',
+      cleared: 'Download rimossi.',
+      storage: 'Spazio usato: {x}',
+      storageOf: 'Spazio usato: {x} su {y} disponibili',
+      offline: 'Sei offline: puoi leggere solo le pagine scaricate.',
+      error: 'Errore: {x}'
+    },
+    en: {
+      unsupported: 'This browser does not support offline reading.',
+      chapter: 'Download chapter {x}',
+      chapterDone: 'Chapter {x} available offline ✓',
+      noChapter: 'Open a section to download its chapter',
+      downloading: 'Downloading… {x}',
+      downloaded: 'Done: {x} files available offline.',
+      failed: '{x} files not downloaded: try again on a stable connection.',
+      refreshed: 'The book was updated: offline content downloaded again.',
+      cleared: 'Downloads removed.',
+      storage: 'Storage used: {x}',
+      storageOf: 'Storage used: {x} of {y} available',
+      offline: 'You are offline: only downloaded pages can be read.',
+      error: 'Error: {x}'
+    }
+  };
+
+  function msg(key, x, y) {
+    return (MESSAGES[LANG] || MESSAGES.it)[key].replace('{x}', x == null ? '' : x).replace('{y}', y == null ? '' : y);
+  }
+
+  function formatBytes(n) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let i = 0;
+    while (n >= 1024 && i < units.length - 1) { n /= 1024; i++; }
+    return n.toLocaleString(LANG, { maximumFractionDigits: i >= 2 ? 1 : 0 }) + ' ' + units[i];
+  }
+
+  function setStatus(text) {
+    statusEl.textContent = text || '';
+  }
+
+  function isEnabled() {
+    try { return localStorage.getItem(ENABLED_KEY) === '1'; } catch (_) { return false; }
+  }
+
+  function setEnabled(on) {
+    try {
+      if (on) localStorage.setItem(ENABLED_KEY, '1');
+      else localStorage.removeItem(ENABLED_KEY);
+    } catch (_) {}
+  }
+
+  function isSupported() {
+    return 'serviceWorker' in navigator && 'caches' in window;
+  }
+
+  // -------- cosa scaricare (da search.json) --------
+
+  let indexPromise = null;
+
+  function loadIndex() {
+    if (!indexPromise) {
+      const url = `${BASE}/${LANG}/search.json` + (BUILD ? '?v=' + encodeURIComponent(BUILD) : '');
+      indexPromise = fetch(url)
+        .then(r => {
+          if (!r.ok) throw new Error(`Cannot load ${url} (${r.status})`);
+          return r.json();
+        })
+        .catch(err => {
+          indexPromise = null;
+          throw err;
+        });
+    }
+    return indexPromise;
+  }
+
+  // Capitolo della pagina aperta (iframe o lettore SPA): { part, chapter, prefix } oppure null (indice, prefazione)
+  function currentChapter() {
+    const frame = document.getElementById('toc-split-frame');
+    const cur = window.BookNav ? window.BookNav.current() : null;
+    let path = cur ? cur.path : '';
+    try { if (!path) path = frame.contentWindow.location.pathname; } catch (_) {}
+    if (!path && frame) path = frame.getAttribute('src') || '';
+
+    const m = path.match(/\/(it|en)\/([^\/]+)\/(\d+)(\/|$)/);
+    if (!m) return null;
+    return { part: m[2], chapter: m[3], prefix: `${BASE}/${m[1]}/${m[2]}/${m[3]}/` };
+  }
+
+  // Pagine e grafici il cui url inizia con prefix (tutto il libro se prefix è vuoto)
+  function urlsFor(data, prefix) {
+    const docs = Array.isArray(data) ? data : (data.docs || []);
+    const langRoot = `${BASE}/${LANG}/`;
+    const want = prefix || langRoot;
+
+    const urls = new Set([
+      window.location.pathname,          // questa pagina (toc_split), anche senza ?load=
+      `${BASE}/${LANG}/search.json`,
+      `${BASE}/${LANG}/analytic-index.json`,
+      `${langRoot}toc-big.html`,
+      `${langRoot}analytic-index.html`,
+      `${langRoot}pr.html`
+    ]);
+    if (prefix) urls.add(prefix + 'index.html');
+
+    docs.forEach((d) => {
+      const url = String(d.url || '').replace(/\/{2,}/g, '/');
+      if (!url.startsWith(want)) return;
+      urls.add(url);
+      if (d.type === 'graph' && d.graph) urls.add(`${langRoot}graphs/${d.graph}.yml`);
+    });
+    return Array.from(urls);
+  }
+
+  // -------- service worker --------
+
+  let registration = null;
+  let downloaded = new Set();   // pathname già in cache (da "offline-status")
+  let busy = false;
+
+  function register() {
+    if (!registration) {
+      registration = navigator.serviceWorker.register(`${BASE}/sw.js`, { scope: `${BASE}/` })
+        .then(() => navigator.serviceWorker.ready);
+    }
+    return registration;
+  }
+
+  function post(data) {
+    return register().then((reg) => {
+      if (reg.active) reg.active.postMessage(data);
+    });
+  }
+
+  function refreshStatus() {
+    if (!isEnabled()) return Promise.resolve();
+    return post({ type: 'status' }).catch(() => {});
+  }
+
+  function onWorkerMessage(ev) {
+    const data = ev.data || {};
+
+    if (data.type === 'offline-progress') {
+      progressEl.hidden = false;
+      progressEl.max = data.total;
+      progressEl.value = data.done;
+      setStatus(msg('downloading', `${data.done}/${data.total}`));
+    } else if (data.type === 'offline-downloaded') {
+      busy = false;
+      progressEl.hidden = true;
+      setStatus(data.failed ? msg('failed', data.failed) : msg('downloaded', data.total));
+      refreshStatus();
+    } else if (data.type === 'offline-refreshed') {
+      setStatus(msg('refreshed'));
+      refreshStatus();
+    } else if (data.type === 'offline-status') {
+      downloaded = new Set(data.urls || []);
+      // pagina più nuova del service worker: il sito è stato ricompilato
+      if (BUILD && String(data.version) !== String(BUILD)) {
+        register().then(reg => reg.update()).catch(() => {});
+      }
+      renderPanel();
+    } else if (data.type === 'offline-cleared') {
+      downloaded = new Set();
+      navigator.serviceWorker.getRegistrations()
+        .then(list => Promise.all(list.filter(r => r.scope.endsWith(`${BASE}/`)).map(r => r.unregister())))
+        .catch(() => {})
+        .then(() => {
+          registration = null;
+          busy = false;
+          setStatus(msg('cleared'));
+          renderPanel();
+        });
+    }
+  }
+
+  function download(prefix) {
+    if (busy) return;
+    busy = true;
+    setStatus(msg('downloading', ''));
+    setEnabled(true);
+
+    // chiede al browser di non cancellare i download quando lo spazio scarseggia
+    if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+
+    loadIndex()
+      .then(data => post({ type: 'download', urls: urlsFor(data, prefix) }))
+      .catch((err) => {
+        busy = false;
+        setStatus(msg('error', err.message));
+      });
+  }
+
+  function clearDownloads() {
+    setEnabled(false);
+    if (!navigator.serviceWorker.controller && !registration) {
+      setStatus(msg('cleared'));
+      return;
+    }
+    post({ type: 'clear' }).catch(() => {});
+  }
+
+  // -------- pannello + indicatore di spazio --------
+
+  function renderUsage() {
+    if (!navigator.storage || !navigator.storage.estimate) {
+      usageEl.textContent = '';
+      storageEl.textContent = '';
+      return;
+    }
+    navigator.storage.estimate().then((est) => {
+      const used = formatBytes(est.usage || 0);
+      usageEl.textContent = downloaded.size ? used : '';
+      storageEl.textContent = est.quota
+        ? msg('storageOf', used, formatBytes(est.quota))
+        : msg('storage', used);
+    }).catch(() => {});
+  }
+
+  function renderPanel() {
+    const ch = currentChapter();
+    chapterBtn.disabled = busy || !ch;
+    bookBtn.disabled = busy;
+    clearBtn.disabled = busy || !downloaded.size;
+    btn.classList.toggle('has-downloads', downloaded.size > 0);
+
+    if (!ch) {
+      chapterBtn.textContent = msg('noChapter');
+    } else if (downloaded.has(ch.prefix + 'index.html')) {
+      chapterBtn.textContent = msg('chapterDone', ch.chapter);
+    } else {
+      chapterBtn.textContent = msg('chapter', ch.chapter);
+    }
+
+    renderUsage();
+  }
+
+  function isPanelOpen() {
+    return !panel.hidden;
+  }
+
+  function setPanelOpen(open) {
+    panel.hidden = !open;
+    btn.setAttribute('aria-expanded', open ? 'true' : 'false');
+    if (open) {
+      if (!navigator.onLine) setStatus(msg('offline'));
+      renderPanel();
+      refreshStatus();
+      (chapterBtn.disabled ? bookBtn : chapterBtn).focus();
+    }
+  }
+
+  // -------- events --------
+
+  if (!isSupported()) {
+    btn.addEventListener('click', () => {
+      setPanelOpen(!isPanelOpen());
+      chapterBtn.disabled = bookBtn.disabled = clearBtn.disabled = true;
+      setStatus(msg('unsupported'));
+    });
+    return;
+  }
+
+  navigator.serviceWorker.addEventListener('message', onWorkerMessage);
+
+  // nuovo service worker attivo (sito ricompilato): riscarica i contenuti salvati
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (isEnabled()) post({ type: 'sync' }).catch(() => {});
+  });
+
+  btn.addEventListener('click', () => setPanelOpen(!isPanelOpen()));
+  btn.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Enter' || ev.key === ' ') {
+      ev.preventDefault();
+      setPanelOpen(!isPanelOpen());
+    }
+  });
+
+  chapterBtn.addEventListener('click', () => {
+    const ch = currentChapter();
+    if (ch) download(ch.prefix);
+  });
+  bookBtn.addEventListener('click', () => download(''));
+  clearBtn.addEventListener('click', clearDownloads);
+
+  document.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Escape' && isPanelOpen()) {
+      setPanelOpen(false);
+      btn.focus();
+    }
+  });
+  document.addEventListener('click', (ev) => {
+    if (isPanelOpen() && !panel.contains(ev.target) && !btn.contains(ev.target)) setPanelOpen(false);
+  });
+
+  // il capitolo da scaricare segue la pagina aperta
+  window.addEventListener('book-loaded', () => { if (isPanelOpen()) renderPanel(); });
+
+  window.addEventListener('online', () => { if (isPanelOpen()) setStatus(''); });
+  window.addEventListener('offline', () => { if (isPanelOpen()) setStatus(msg('offline')); });
+
+  // chi ha già scaricato qualcosa: controlla aggiornamenti e spazio usato
+  if (isEnabled()) {
+    post({ type: 'sync' })
+      .then(refreshStatus)
+      .catch(() => {});
+  }
+})();
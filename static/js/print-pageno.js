@@ -1,6 +1,6 @@
 // static/js/print-pageno.js
-// Inserisce numeri pagina basati sui pagebreak dentro il documento dell'iframe,
-// poi stampa e infine pulisce.
+// Inserisce numeri pagina basati sui pagebreak dentro il documento dell'iframe
+// (o nel lettore SPA del parent), poi stampa e infine pulisce.
 
 (function () {
   'use strict';
@@ -21,15 +21,15 @@
     return d;
   }
 
-  function findWrapper(doc) {
-    return doc.querySelector('main, article, .page-content, .content, .page') || doc.body;
+  function findWrapper(doc, root) {
+    return root.querySelector('main, article, .page-content, .content, .page') || doc.body;
   }
 
-  function insertNumbers(doc) {
+  function insertNumbers(doc, root) {
     removeInserted(doc);
 
     const lang = detectLang(doc);
-    const wrapper = findWrapper(doc);
+    const wrapper = findWrapper(doc, root);
     if (!wrapper) return;
 
     let page = 1;
@@ -39,7 +39,7 @@
     page++;
 
     // Poi dopo ogni pagebreak
-    const breaks = doc.querySelectorAll('.pagebreak, .print-pagebreak');
+    const breaks = root.querySelectorAll('.pagebreak, .print-pagebreak');
     breaks.forEach((br) => {
       const pn = createNode(doc, page, lang);
       if (br.parentNode) {
@@ -52,19 +52,28 @@
   }
 
   // API globale: chiamala dal bottone stampa
-  window.printWithPageNumbers = function (frame) {
-    if (!frame) return;
+  // target: l'iframe oppure { win, doc, root } (BookNav.content(), lettore SPA)
+  window.printWithPageNumbers = function (target) {
+    if (!target) return;
 
-    const win = frame.contentWindow;
-    const doc = frame.contentDocument || (win && win.document);
+    const win = target.win || target.contentWindow;
+    const doc = target.doc || target.contentDocument || (win && win.document);
     if (!win || !doc) return;
+    const root = target.root || doc;
+
+    // Via le evidenziazioni della ricerca (static/js/search-highlight.js)
+    try { if (win.SearchHighlight) win.SearchHighlight.clear(); } catch (e) {}
+
+    // Evidenziazioni personali senza colore, note a margine (static/js/annotations.js)
+    try { if (win.Annotations) win.Annotations.preparePrint(); } catch (e) {}
 
     // Inserisci numeri
-    insertNumbers(doc);
+    insertNumbers(doc, root);
 
     // Pulisci dopo stampa
     const cleanup = () => {
       try { removeInserted(doc); } catch (e) {}
+      try { if (win.Annotations) win.Annotations.endPrint(); } catch (e) {}
       try { win.removeEventListener('afterprint', cleanup); } catch (e) {}
     };
     try { win.addEventListener('afterprint', cleanup); } catch (e) {}
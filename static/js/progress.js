@@ -0,0 +1,434 @@
+/*
+  Reading progress for the textbook (toc_split).
+  - Remembers which sections have been opened and how far they were scrolled
+    (localStorage "reading_progress", one entry per section path, e.g. /en/I/2/3)
+  - A section counts as read once its end has been on screen (READ_AT)
+  - Accordion: completion bar on each .chapter_link (data-sections = sections in the chapter),
+    check mark on read .section_link rows, dot on the ones only opened
+  - Language home (toc-big in the frame): "Resume where you left off" reopens the last section
+    at the same scroll position
+  - Export / import as JSON (import merges with what is already saved)
+  Pages are loaded by static/js/navigation.js: this file only listens to its events.
+*/
+
+(function () {
+  'use strict';
+
+  if (window.self !== window.top) return;
+
+  const nav = window.BookNav;
+  const frame = document.getElementById('toc-split-frame');
+  if (!nav || !frame) return;
+
+  const KEY = 'reading_progress';
+  const VERSION = 1;
+  const READ_AT = 0.9;     // frazione della pagina vista oltre la quale la sezione è "letta"
+  const SAVE_DELAY = 400;
+
+  const LANG = nav.lang;
+  const MESSAGES = {
+    it: {
+      resume: 'Riprendi da dove eri rimasto: {x}',
+      chapter: '{x} sezioni lette',
+      read: 'Letta',
+      opened: 'Aperta',
+      exported: 'Progressi esportati.',
+      imported: 'Importate {x} sezioni.',
+      badFile: 'File non valido: nessun progresso importato.',
+      confirmReset: 'Cancellare tutti i progressi di lettura salvati in questo browser?',
+      reset: 'Progressi cancellati.'
+    },
+    en: {
+      resume: 'Resume where you left off: {x}',
+      chapter: '{x} sections read',
+      read: 'Read',
+      opened: 'Opened',
+      exported: 'Progress exported.',
+      imported: 'Imported {x} sections.',
+      badFile: 'Invalid file: no progress imported.',
+      confirmReset: 'Delete all reading progress saved in this browser?',
+      reset: 'Progress deleted.'
+    }
+  };
+
+  function t(key, x) {
+    return MESSAGES[LANG][key].replace('{x}', x);
+  }
+
+  // -------- storage --------
+
+  // { version, sections: { '/en/I/2/3': { seen, pos, title, t } }, last: { en: '/en/I/2/3' } }
+  function emptyState() {
+    return { version: VERSION, sections: {}, last: {} };
+  }
+
+  function isValidState(s) {
+    return !!s && typeof s === 'object' && s.version === VERSION &&
+      !!s.sections && typeof s.sections === 'object' && !Array.isArray(s.sections);
+  }
+
+  function load() {
+    try {
+      const s = JSON.parse(localStorage.getItem(KEY) || 'null');
+      if (isValidState(s)) {
+        if (!s.last || typeof s.last !== 'object') s.last = {};
+        return s;
+      }
+    } catch (_) {}
+    return emptyState();
+  }
+
+  let state = load();
+
+  function save() {
+    try { localStorage.setItem(KEY, JSON.stringify(state)); } catch (_) {}
+  }
+
+  function clamp01(x) {
+    x = Number(x);
+    return isFinite(x) ? Math.min(1, Math.max(0, x)) : 0;
+  }
+
+  // /en/I/2/3 (parte / capitolo / sezione); prefazione, indici e grafici non contano
+  function isSectionPath(path) {
+    return /^\/(it|en)\/[^/]+\/[^/]+\/\d+$/.test(path || '');
+  }
+
+  function isRead(entry) {
+    return !!entry && entry.seen >= READ_AT;
+  }
+
+  // -------- scroll della pagina (nell'iframe o nel lettore SPA) --------
+
+  let tracked = null;      // { path, win }
+  let saveTimer = null;
+
+  function measure(win) {
+    const doc = win.document.documentElement;
+    const height = Math.max(doc.scrollHeight, win.document.body ? win.document.body.scrollHeight : 0);
+    const top = win.scrollY || doc.scrollTop || 0;
+    const view = win.innerHeight || doc.clientHeight || 0;
+    if (!height) return null;
+    return {
+      seen: clamp01((top + view) / height),
+      pos: clamp01(top / height)
+    };
+  }
+
+  // keepPos: all'apertura la pagina è in cima, la posizione salvata resta per "riprendi"
+  function record(keepPos) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!tracked) return;
+
+    let m;
+    try { m = measure(tracked.win); } catch (_) { return; }
+    if (!m) return;
+
+    const entry = state.sections[tracked.path] || { seen: 0, pos: 0, title: '', t: 0 };
+    const wasRead = isRead(entry);
+    entry.seen = Math.max(entry.seen || 0, m.seen);
+    if (keepPos !== true) entry.pos = m.pos;
+    entry.t = Date.now();
+    if (tracked.title) entry.title = tracked.title;
+
+    state.sections[tracked.path] = entry;
+    state.last[LANG] = tracked.path;
+    save();
+
+    if (isRead(entry) !== wasRead) decorateAll();
+  }
+
+  function scheduleRecord() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => record(), SAVE_DELAY);
+  }
+
+  function onPagehide() {
+    record();
+  }
+
+  // la pagina precedente è già stata salvata (book-navigate o pagehide): content() ora è la nuova
+  // (nell'iframe o, in modalità SPA, nel parent: win è window e gli ascoltatori sono gli stessi)
+  function track(path) {
+    tracked = null;
+    if (!isSectionPath(path)) return;
+
+    const c = nav.content();
+    if (!c) return;
+    const win = c.win;
+
+    const h1 = c.root.querySelector('h1');
+    tracked = { path, win, title: h1 ? h1.textContent.replace(/\s+/g, ' ').trim() : '' };
+
+    win.addEventListener('scroll', scheduleRecord, { passive: true });
+    win.addEventListener('pagehide', onPagehide);
+    record(true);
+    decorateAll();
+  }
+
+  // Riporta la pagina alla posizione salvata (dopo KaTeX/grafici l'altezza può cambiare: un secondo tentativo)
+  function restoreScroll(path) {
+    const entry = state.sections[path];
+    if (!entry || !entry.pos) return;
+
+    const c = nav.content();
+    if (!c) return;
+    const win = c.win;
+
+    const apply = () => {
+      try {
+        const height = win.document.documentElement.scrollHeight;
+        win.scrollTo(0, Math.round(entry.pos * height));
+      } catch (_) {}
+    };
+    apply();
+
+    const y0 = win.scrollY;
+    setTimeout(() => {
+      if (Math.abs(win.scrollY - y0) < 2) apply();
+    }, 700);
+  }
+
+  // -------- accordion: barre dei capitoli e sezioni lette --------
+
+  const left = document.querySelector('.toc-split-left');
+
+  function chapterPath(chapterEl) {
+    const a = chapterEl.querySelector('a[href]');
+    const loc = a ? nav.parse(a.getAttribute('href')) : null;
+    return loc ? loc.path : '';
+  }
+
+  function decorateChapter(chapterEl) {
+    const total = parseInt(chapterEl.getAttribute('data-sections') || '0', 10);
+    const prefix = chapterPath(chapterEl) + '/';
+    if (!total || prefix === '/') return;
+
+    let read = 0;
+    for (const path in state.sections) {
+      if (path.startsWith(prefix) && isSectionPath(path) && isRead(state.sections[path])) read++;
+    }
+    read = Math.min(read, total);
+
+    let bar = chapterEl.querySelector('.chapter-progress');
+    if (!read) {
+      if (bar) bar.remove();
+      return;
+    }
+    if (!bar) {
+      bar = document.createElement('span');
+      bar.className = 'chapter-progress';
+      bar.setAttribute('role', 'img');
+      bar.appendChild(document.createElement('span'));
+      chapterEl.appendChild(bar);
+    }
+
+    const label = t('chapter', `${read}/${total}`);
+    bar.setAttribute('aria-label', label);
+    bar.title = label;
+    bar.classList.toggle('is-complete', read === total);
+    bar.firstChild.style.width = Math.round((read / total) * 100) + '%';
+  }
+
+  function decorateSection(li) {
+    const a = li.querySelector('a[href]');
+    const loc = a ? nav.parse(a.getAttribute('href')) : null;
+    const entry = loc ? state.sections[loc.path] : null;
+
+    const read = isRead(entry);
+    li.classList.toggle('section-read', read);
+    li.classList.toggle('section-opened', !!entry && !read);
+    if (entry) li.title = read ? t('read') : t('opened');
+    else li.removeAttribute('title');
+  }
+
+  function decorateAll() {
+    if (!left) return;
+    left.querySelectorAll('.chapter_link').forEach(decorateChapter);
+    left.querySelectorAll('.section_link').forEach(decorateSection);
+  }
+
+  // le sezioni le crea toc-accordion.js all'apertura del capitolo
+  if (left && window.MutationObserver) {
+    new MutationObserver((records) => {
+      for (const r of records) {
+        r.addedNodes.forEach((n) => {
+          if (n.nodeType !== 1) return;
+          if (n.matches('.section_link')) decorateSection(n);
+          n.querySelectorAll('.section_link').forEach(decorateSection);
+        });
+      }
+    }).observe(left, { childList: true, subtree: true });
+  }
+
+  // -------- "riprendi da dove eri rimasto" --------
+
+  const resumeBox = document.getElementById('reading-resume');
+  const resumeBtn = document.getElementById('reading-resume-go');
+  const resumeClose = document.getElementById('reading-resume-close');
+  let resumeDismissed = false;
+
+  function lastSection() {
+    const path = state.last[LANG];
+    return path && state.sections[path] ? path : '';
+  }
+
+  function updateResume(path) {
+    if (!resumeBox || !resumeBtn) return;
+
+    const last = lastSection();
+    const onHome = /\/toc-big\.html$/.test(path || '');
+    if (!onHome || !last || resumeDismissed) {
+      resumeBox.hidden = true;
+      return;
+    }
+
+    const entry = state.sections[last];
+    resumeBtn.textContent = t('resume', entry.title || last.replace(/^\/(it|en)\//, ''));
+    resumeBox.hidden = false;
+  }
+
+  if (resumeBtn) {
+    resumeBtn.addEventListener('click', () => {
+      const path = lastSection();
+      if (!path) return;
+      resumeBox.hidden = true;
+      nav.navigate(path, { anchor: '' }).then(() => restoreScroll(path));
+    });
+  }
+
+  if (resumeClose) {
+    resumeClose.addEventListener('click', () => {
+      resumeDismissed = true;
+      resumeBox.hidden = true;
+    });
+  }
+
+  // -------- esporta / importa --------
+
+  const exportBtn = document.getElementById('reading-export');
+  const importBtn = document.getElementById('reading-import');
+  const importFile = document.getElementById('reading-import-file');
+  const resetBtn = document.getElementById('reading-reset');
+  const statusEl = document.getElementById('reading-status');
+
+  function setStatus(msg) {
+    if (statusEl) statusEl.textContent = msg || '';
+  }
+
+  function exportProgress() {
+    record();
+    const blob = new Blob([JSON.stringify(state, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'reading-progress.json';
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    setStatus(t('exported'));
+  }
+
+  // unione: per ogni sezione vince la lettura più avanzata, per la posizione la più recente
+  function merge(incoming) {
+    let n = 0;
+    for (const path in incoming.sections) {
+      const e = incoming.sections[path];
+      if (!isSectionPath(path) || !e || typeof e !== 'object') continue;
+
+      const cur = state.sections[path];
+      const next = {
+        seen: clamp01(e.seen),
+        pos: clamp01(e.pos),
+        title: typeof e.title === 'string' ? e.title.slice(0, 200) : '',
+        t: Number(e.t) || 0
+      };
+      if (cur) {
+        const newer = next.t > (cur.t || 0);
+        next.seen = Math.max(next.seen, cur.seen || 0);
+        if (!newer) {
+          next.pos = cur.pos;
+          next.t = cur.t;
+        }
+        next.title = next.title || cur.title;
+      }
+      state.sections[path] = next;
+      n++;
+    }
+
+    for (const lang of ['it', 'en']) {
+      const p = incoming.last && incoming.last[lang];
+      if (typeof p !== 'string' || !state.sections[p]) continue;
+      const cur = state.last[lang] && state.sections[state.last[lang]];
+      if (!cur || state.sections[p].t >= cur.t) state.last[lang] = p;
+    }
+    return n;
+  }
+
+  function importProgress(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let data = null;
+      try { data = JSON.parse(reader.result); } catch (_) {}
+      if (!isValidState(data)) {
+        setStatus(t('badFile'));
+        return;
+      }
+      const n = merge(data);
+      save();
+      decorateAll();
+      updateResume((nav.current() || {}).path);
+      setStatus(t('imported', n));
+    };
+    reader.onerror = () => setStatus(t('badFile'));
+    reader.readAsText(file);
+  }
+
+  if (exportBtn) exportBtn.addEventListener('click', exportProgress);
+
+  if (importBtn && importFile) {
+    importBtn.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', () => {
+      const file = importFile.files && importFile.files[0];
+      if (file) importProgress(file);
+      importFile.value = '';
+    });
+  }
+
+  if (resetBtn) {
+    resetBtn.addEventListener('click', () => {
+      if (!window.confirm(t('confirmReset'))) return;
+      state = emptyState();
+      save();
+      decorateAll();
+      updateResume((nav.current() || {}).path);
+      setStatus(t('reset'));
+    });
+  }
+
+  // -------- eventi --------
+
+  // salva prima di lasciare la pagina (se cambia solo l'anchor si continua a seguirla)
+  window.addEventListener('book-navigate', () => {
+    if (tracked) record();
+  });
+
+  window.addEventListener('book-loaded', (ev) => {
+    track(ev.detail.path);
+    updateResume(ev.detail.path);
+  });
+
+  // progressi salvati da un'altra scheda
+  window.addEventListener('storage', (ev) => {
+    if (ev.key !== KEY) return;
+    state = load();
+    decorateAll();
+    updateResume((nav.current() || {}).path);
+  });
+
+  window.addEventListener('pagehide', () => record());
+
+  decorateAll();
+})();
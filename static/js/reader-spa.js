@@ -0,0 +1,264 @@
+/* reader-spa.js
+ *
+ * Lettore "a pagina singola" del layout toc_split (opzionale): sezioni e prefazione senza iframe.
+ * - Si attiva con ?spa=1 (resta in localStorage "reader_spa"), si disattiva con ?spa=0
+ * - La pagina della sezione si scarica con fetch; il suo <article> (con lo switch IT | EN)
+ *   prende il posto dell'iframe in #toc-split-reader e scorre con la finestra
+ * - Link e immagini relativi si riscrivono rispetto alla pagina scaricata; i link del libro
+ *   passano da BookNav (static/js/navigation.js), che aggiorna ?load= con la History API
+ * - KaTeX si applica al nuovo contenuto; per i grafici kg si rilancia loadGraphs() (kg3d,
+ *   caricato qui alla prima sezione): crea solo i .kg-container nuovi, le view della pagina
+ *   precedente escono da `views` insieme ai loro div
+ * - Le altre pagine (indice grande, indice analitico, pagine di capitolo) hanno script propri:
+ *   restano nell'iframe, che torna visibile
+ * - Gli script della pagina di sezione non si eseguono: evidenziazioni e note, glossario ed
+ *   evidenziazione della ricerca (annotations.js, glossary.js, search-highlight.js) sono caricati
+ *   anche dal parent e lavorano su content().root a ogni 'book-loaded', come link-preview.js
+ *
+ * API (per navigation.js, caricato dopo): window.BookReader = {
+ *   handles(loc), show(url) -> Promise(true | false se superata), reveal(anchor), hide(),
+ *   content() -> { win, doc, root }
+ * }
+ */
+(function () {
+  'use strict';
+
+  if (window.self !== window.top) return;
+
+  const KEY = 'reader_spa';
+
+  const frame = document.getElementById('toc-split-frame');
+  if (!frame) return;
+
+  function enabled() {
+    let flag = null;
+    try { flag = new URLSearchParams(window.location.search).get('spa'); } catch (e) {}
+    try {
+      if (flag === '1' || flag === '0') localStorage.setItem(KEY, flag);
+      return localStorage.getItem(KEY) === '1';
+    } catch (e) {
+      return flag === '1';
+    }
+  }
+
+  if (!enabled()) return;
+
+  document.body.classList.add('reader-spa');
+
+  // il src iniziale (./pr.html) non serve: l'iframe si usa solo per le pagine non di sezione
+  try { frame.contentWindow.location.replace('about:blank'); } catch (e) { frame.src = 'about:blank'; }
+
+  const host = document.createElement('div');
+  host.id = 'toc-split-reader';
+  host.className = 'toc-split-reader';
+  host.hidden = true;
+  frame.parentNode.insertBefore(host, frame);
+
+  // sezioni e prefazione (path "puliti" di navigation.js): /en/I/2/3, /en/pr.html
+  function handles(loc) {
+    return !!loc && !loc.external && /^\/(it|en)\/(pr\.html|[IVX]+\/\d+\/\d+)$/.test(loc.path);
+  }
+
+  // --- kg3d (grafici, KaTeX) ----------------------------------------------------
+
+  let kgReady = null;
+
+  function loadKg() {
+    if (kgReady) return kgReady;
+    kgReady = new Promise((resolve) => {
+      if (typeof window.loadGraphs === 'function') return resolve();
+      const src = frame.getAttribute('data-kg-src');
+      if (!src) return resolve();
+      const s = document.createElement('script');
+      s.src = src;
+      s.onload = () => resolve();
+      s.onerror = () => resolve();   // il testo si legge anche senza grafici
+      document.head.appendChild(s);
+    });
+    return kgReady;
+  }
+
+  function whenComplete() {
+    if (document.readyState === 'complete') return Promise.resolve();
+    return new Promise(resolve => window.addEventListener('load', resolve, { once: true }));
+  }
+
+  // stessi delimitatori di _includes/scripts.html; poi € -> $ (dollari letterali nel testo)
+  function renderMath(root) {
+    if (typeof window.renderMathInElement === 'function') {
+      try {
+        window.renderMathInElement(root, {
+          delimiters: [
+            { left: '$$', right: '$$', display: true },
+            { left: '$', right: '$', display: false },
+            { left: '\\[', right: '\\]', display: false },
+            { left: '\\(', right: '\\)', display: true }
+          ]
+        });
+      } catch (e) {}
+    }
+
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const hits = [];
+    while (walker.nextNode()) {
+      if (walker.currentNode.nodeValue.indexOf('€') >= 0) hits.push(walker.currentNode);
+    }
+    hits.forEach((t) => { t.nodeValue = t.nodeValue.replace(/€/g, '$'); });
+  }
+
+  // attributi che kg legge dal div: non si sovrascrivono con i parametri dell'URL
+  const KG_ATTRS = ['id', 'class', 'style', 'src', 'template', 'format', 'clearcolor', 'custom'];
+
+  function connected(view) {
+    try { return view.div.node().isConnected; } catch (e) { return false; }
+  }
+
+  // kg legge i parametri da window.location.search, che qui è l'URL del parent:
+  // quelli della pagina (?M=100 dentro load) passano come attributi del div
+  function initGraphs(query) {
+    if (typeof window.loadGraphs !== 'function') return;
+
+    // view della pagina precedente (anche quelle arrivate dopo il cambio di pagina)
+    if (Array.isArray(window.views)) window.views = window.views.filter(connected);
+
+    const divs = Array.from(host.querySelectorAll('.kg-container:not(.kg-loaded)'));
+    if (!divs.length) return;   // già fatto dal loadGraphs di kg al load della finestra
+
+    const params = new URLSearchParams(query || '');
+    divs.forEach((d) => {
+      params.forEach((value, name) => {
+        if (/^[A-Za-z_]\w*$/.test(name) && KG_ATTRS.indexOf(name.toLowerCase()) < 0) d.setAttribute(name, value);
+      });
+    });
+
+    const kept = window.views.slice();
+    window.loadGraphs();   // azzera views e crea le view dei div non ancora disegnati
+    window.views = kept.concat(window.views);
+  }
+
+  // --- contenuto ------------------------------------------------------------------
+
+  function rebase(root, base) {
+    root.querySelectorAll('[src], [href]').forEach((el) => {
+      ['src', 'href'].forEach((attr) => {
+        const v = el.getAttribute(attr);
+        if (!v || v.charAt(0) === '#' || /^[a-z][\w+.-]*:/i.test(v)) return;
+        try { el.setAttribute(attr, new URL(v, base).href); } catch (e) {}
+      });
+    });
+  }
+
+  // switch IT | EN e <article> della pagina, senza script
+  function extract(doc, base) {
+    const article = doc.querySelector('article');
+    if (!article) throw new Error('no article');
+
+    const nodes = [];
+    const lang = doc.querySelector('.lang-switch');
+    if (lang) nodes.push(lang.closest('.screen-only') || lang);
+    nodes.push(article);
+
+    return nodes.map((n) => {
+      n.querySelectorAll('script').forEach(s => s.remove());
+      rebase(n, base);
+      return document.importNode(n, true);
+    });
+  }
+
+  let seq = 0;
+
+  function show(url) {
+    const mine = ++seq;
+    let base = url;
+
+    return Promise.all([
+      fetch(url, { credentials: 'same-origin' }).then((r) => {
+        if (!r.ok) throw new Error('HTTP ' + r.status);
+        base = r.url || url;
+        return r.text();
+      }),
+      loadKg()
+    ]).then(([html]) => {
+      if (mine !== seq) return false;
+
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const nodes = extract(doc, base);
+
+      host.textContent = '';
+      nodes.forEach(n => host.appendChild(n));
+      host.hidden = false;
+      frame.hidden = true;
+
+      renderMath(host);
+
+      let query = '';
+      try { query = new URL(url, window.location.href).search; } catch (e) {}
+      whenComplete().then(() => window.setTimeout(() => {
+        if (mine === seq) initGraphs(query);
+      }, 0));
+      return true;
+    });
+  }
+
+  // anchor della pagina mostrata, altrimenti in cima
+  function reveal(anchor) {
+    const el = anchor ? document.getElementById(anchor) : null;
+    if (el && host.contains(el)) el.scrollIntoView({ block: 'start' });
+    else window.scrollTo(0, 0);
+  }
+
+  function hide() {
+    seq++;
+    host.hidden = true;
+    host.textContent = '';
+    if (Array.isArray(window.views)) window.views = window.views.filter(connected);
+    frame.hidden = false;
+  }
+
+  // link dentro la sezione: quelli del libro li carica BookNav, gli anchor restano sulla pagina
+  host.addEventListener('click', (ev) => {
+    if (ev.defaultPrevented || ev.button !== 0 || ev.ctrlKey || ev.metaKey || ev.shiftKey || ev.altKey) return;
+    const a = ev.target && ev.target.closest ? ev.target.closest('a[href]') : null;
+    const nav = window.BookNav;
+    if (!a || !nav || a.target === '_blank' || a.hasAttribute('download')) return;
+
+    const href = a.getAttribute('href');
+
+    // IT | EN: stessa pagina nell'altra lingua, con i parametri dei grafici (navigation.js
+    // ricarica il parent tradotto allo stesso punto)
+    if (a.closest('.lang-switch')) {
+      const cur = nav.current();
+      const m = a.href.match(/\/(it|en)\//);
+      if (!cur || !m) return;
+      ev.preventDefault();
+      nav.navigate(cur.path.replace(/^\/(it|en)\//, `/${m[1]}/`), { anchor: '', query: cur.query });
+      return;
+    }
+
+    if (href.charAt(0) === '#') {
+      const cur = nav.current();
+      if (!cur) return;
+      ev.preventDefault();
+      let id = href.slice(1);
+      try { id = decodeURIComponent(id); } catch (e) {}
+      nav.navigate(cur.path, { anchor: id, query: cur.query });
+      return;
+    }
+
+    let u;
+    try { u = new URL(a.href); } catch (e) { return; }
+    if (u.origin !== window.location.origin || !/\/(it|en)\//.test(u.pathname)) return;
+    if (/\.(png|jpe?g|gif|svg|pdf|ya?ml|json|zip)$/i.test(u.pathname)) return;
+
+    ev.preventDefault();
+    nav.navigate(u.href);
+  });
+
+  window.BookReader = {
+    handles,
+    show,
+    reveal,
+    hide,
+    content: () => ({ win: window, doc: document, root: host })
+  };
+})();
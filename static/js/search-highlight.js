@@ -0,0 +1,265 @@
+// static/js/search-highlight.js
+// Evidenzia nella pagina della sezione (dentro l'iframe) le occorrenze della ricerca
+// aperta dal pannello di ricerca del parent, nel testo e nelle formule KaTeX,
+// con una barra "3 di 12 ▲ ▼ ✕" per passare da un'occorrenza all'altra.
+//
+// Il parent manda: postMessage({ type: 'search-highlight', query, terms, math, anchor })
+// - terms: stem trovati dall'indice (static/js/search-index.js)
+// - math:  formule della query in forma canonica (BookSearchIndex.mathTokens)
+// Nel parent dello split gira sul lettore SPA (static/js/reader-spa.js), che riceve lo stesso
+// messaggio sulla finestra del parent; con l'iframe non fa nulla
+//
+// API: window.SearchHighlight = { apply(data), clear() }  (clear() prima di stampare)
+
+(function () {
+  'use strict';
+
+  const HL_CLASS = 'search-hl';
+  const MATH_CLASS = 'search-hl-math';
+  const CURRENT_CLASS = 'search-hl-current';
+  const BAR_ID = 'search-hl-bar';
+
+  // Dove NON cercare: codice, grafici kg (SVG), la barra stessa, l'intestazione
+  const SKIP_SELECTOR = 'script, style, textarea, .katex, .kg-container, #' + BAR_ID + ', .lang-switch';
+
+  const MESSAGES = {
+    it: { of: 'di', prev: 'Occorrenza precedente', next: 'Occorrenza successiva', close: 'Chiudi evidenziazione' },
+    en: { of: 'of', prev: 'Previous match', next: 'Next match', close: 'Clear highlighting' }
+  };
+
+  // parent dello split: solo con il lettore SPA, altrimenti la pagina è nell'iframe
+  const inSplit = window.self === window.top && !!document.getElementById('toc-split-frame');
+  if (inSplit && !window.BookReader) return;
+
+  let marks = [];
+  let current = -1;
+  let lang = 'it';
+
+  function pageLang() {
+    if (/\/en\//.test(window.location.pathname)) return 'en';
+    if (/\/it\//.test(window.location.pathname)) return 'it';
+    return 'it';
+  }
+
+  function msg(key) {
+    return (MESSAGES[lang] || MESSAGES.it)[key];
+  }
+
+  function getIndex() {
+    return window.BookSearchIndex || null;
+  }
+
+  // la sezione mostrata: la pagina stessa, oppure l'<article> del lettore SPA (null se c'è l'iframe)
+  function findRoot() {
+    if (inSplit) {
+      const shown = window.BookNav && window.BookNav.content();
+      return shown && shown.win === window ? shown.root.querySelector('article') : null;
+    }
+    return document.querySelector('article') || document.body;
+  }
+
+  // -------- testo --------
+
+  // Stem da evidenziare: quelli trovati dall'indice + le parole della query nella lingua della pagina
+  // (serve per i risultati arrivati dall'altra edizione, i cui stem qui non compaiono).
+  // Termini esclusi (-x), filtri (part:, chapter:) e formule non sono parole da evidenziare.
+  function wantedTerms(data) {
+    const I = getIndex();
+    const set = new Set(data.terms || []);
+    if (I && data.query) {
+      const q = I.parseQuery(String(data.query));
+      q.clauses.forEach(alts => alts.forEach((alt) => {
+        if (!alt.math) I.tokenize(alt.text, lang).forEach(tok => set.add(tok.term));
+      }));
+    }
+    return Array.from(set);
+  }
+
+  function textNodes(root) {
+    const out = [];
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        if (!node.nodeValue || !node.nodeValue.trim()) return NodeFilter.FILTER_REJECT;
+        const parent = node.parentElement;
+        if (!parent || parent.closest(SKIP_SELECTOR)) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    while (walker.nextNode()) out.push(walker.currentNode);
+    return out;
+  }
+
+  function markText(root, terms) {
+    const I = getIndex();
+    if (!I || !terms.length) return;
+
+    textNodes(root).forEach((node) => {
+      const offs = I.matchOffsets(node.nodeValue, terms, lang);
+      if (!offs.length) return;
+
+      // da destra a sinistra: splitText non sposta gli offset precedenti
+      for (let i = offs.length - 1; i >= 0; i--) {
+        const o = offs[i];
+        const hit = node.splitText(o.start);
+        hit.splitText(o.end - o.start);
+
+        const mark = document.createElement('mark');
+        mark.className = HL_CLASS;
+        hit.parentNode.insertBefore(mark, hit);
+        mark.appendChild(hit);
+      }
+    });
+  }
+
+  // -------- formule KaTeX --------
+
+  function containsSeq(tokens, seq) {
+    for (let i = 0; i + seq.length <= tokens.length; i++) {
+      if (seq.every((t, k) => tokens[i + k] === t)) return true;
+    }
+    return false;
+  }
+
+  // Una formula si evidenzia se contiene una formula della query, oppure
+  // un identificatore cercato come parola (es. "MRS" in $MRS_{XY}$)
+  function markMath(root, terms, math) {
+    const I = getIndex();
+    if (!I) return;
+    const termSet = new Set(terms);
+
+    root.querySelectorAll('.katex').forEach((el) => {
+      if (el.closest('.kg-container')) return;
+      const ann = el.querySelector('annotation[encoding="application/x-tex"]');
+      if (!ann) return;
+
+      const tokens = I.mathTokens(ann.textContent);
+      let hit = math.some(seq => containsSeq(tokens, seq));
+
+      if (!hit && termSet.size) {
+        hit = tokens.some(t => t.split('_').some((w) => {
+          const words = I.tokenize(w, lang);
+          return words.length === 1 && termSet.has(words[0].term);
+        }));
+      }
+
+      if (hit) el.classList.add(HL_CLASS, MATH_CLASS);
+    });
+  }
+
+  // -------- barra "3 di 12" --------
+
+  function renderBar() {
+    let bar = document.getElementById(BAR_ID);
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.id = BAR_ID;
+      bar.className = 'search-hl-bar screen-only';
+      bar.setAttribute('role', 'status');
+
+      const count = document.createElement('span');
+      count.className = 'search-hl-count';
+      bar.appendChild(count);
+
+      [['▲', 'prev', () => go(-1)], ['▼', 'next', () => go(1)], ['✕', 'close', clear]].forEach(([label, key, fn]) => {
+        const b = document.createElement('button');
+        b.type = 'button';
+        b.textContent = label;
+        b.setAttribute('aria-label', msg(key));
+        b.title = msg(key);
+        b.addEventListener('click', fn);
+        bar.appendChild(b);
+      });
+
+      document.body.appendChild(bar);
+    }
+
+    bar.querySelector('.search-hl-count').textContent =
+      `${current + 1} ${msg('of')} ${marks.length}`;
+  }
+
+  function setCurrent(i, scroll) {
+    if (!marks.length) return;
+    if (marks[current]) marks[current].classList.remove(CURRENT_CLASS);
+    current = (i + marks.length) % marks.length;
+    marks[current].classList.add(CURRENT_CLASS);
+    if (scroll) marks[current].scrollIntoView({ block: 'center', behavior: 'smooth' });
+    renderBar();
+  }
+
+  function go(delta) {
+    setCurrent(current + delta, true);
+  }
+
+  // -------- API --------
+
+  // gli id delle due edizioni possono differire per le maiuscole (risultati dall'altra lingua)
+  function findAnchor(id) {
+    if (!id) return null;
+    return document.getElementById(id) ||
+      Array.from(document.querySelectorAll('[id]')).find(el => el.id.toLowerCase() === id.toLowerCase()) ||
+      null;
+  }
+
+  function clear() {
+    document.querySelectorAll('mark.' + HL_CLASS).forEach((mark) => {
+      const parent = mark.parentNode;
+      while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+      parent.removeChild(mark);
+      parent.normalize();
+    });
+    document.querySelectorAll('.' + MATH_CLASS).forEach((el) => {
+      el.classList.remove(HL_CLASS, MATH_CLASS, CURRENT_CLASS);
+    });
+
+    const bar = document.getElementById(BAR_ID);
+    if (bar) bar.remove();
+
+    marks = [];
+    current = -1;
+  }
+
+  function apply(data) {
+    clear();
+    if (!data) return;
+
+    lang = pageLang();
+    const root = findRoot();
+    if (!root) return;
+    const terms = wantedTerms(data);
+    const math = (data.math || []).filter(seq => Array.isArray(seq) && seq.length);
+
+    markText(root, terms);
+    markMath(root, terms, math);
+
+    marks = Array.from(root.querySelectorAll('.' + HL_CLASS));
+    if (!marks.length) return;
+
+    // si parte dalla prima occorrenza nella sottosezione aperta (lo scroll all'anchor lo fa il parent)
+    let start = 0;
+    const anchor = findAnchor(data.anchor);
+    if (anchor) {
+      const i = marks.findIndex(m => anchor.compareDocumentPosition(m) & Node.DOCUMENT_POSITION_FOLLOWING);
+      if (i !== -1) start = i;
+    }
+    setCurrent(start, !anchor);
+  }
+
+  window.SearchHighlight = { apply, clear };
+
+  window.addEventListener('message', (ev) => {
+    if (ev.origin !== window.location.origin) return;
+    const data = ev.data;
+    if (!data || data.type !== 'search-highlight') return;
+    apply(data);
+  });
+
+  document.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Escape' && marks.length) clear();
+  });
+
+  // Ctrl+P direttamente nell'iframe: niente evidenziazioni sulla carta
+  window.addEventListener('beforeprint', clear);
+
+  // lettore SPA: pagina nuova (o riscaricata) senza ricaricare la finestra; la barra resterebbe
+  if (inSplit) window.addEventListener('book-loaded', clear);
+})();
@@ -0,0 +1,1262 @@
+/* search-index.js
+ *
+ * Indice invertito per la ricerca nel libro.
+ * - Tokenizzazione + stemming leggero per lingua (it/en), così
+ *   "costi marginali" trova "costo marginale"
+ * - Ranking BM25 (con boost sul titolo) + bonus di prossimità
+ * - Tolleranza ai refusi: distanza di edit sul vocabolario + "Forse cercavi"
+ * - Nessuna dipendenza dal DOM: utilizzabile anche da un Web Worker
+ * - Le parole del libro arrivano già indicizzate da Jekyll in search.json (load):
+ *   qui si tokenizzano le formule, il testo dei grafici (add) e, quando servono per
+ *   frasi e vicinanza, le posizioni delle parole (fillPositions)
+ *
+ * - Testo dei grafici kg (etichette, slider, Controls, Explanation) via graphText()
+ * - Sintassi: -termine, a OR b, "frase", title:, graph:, filtri part:/chapter: (vedi parseQuery)
+ * - Formule LaTeX come sequenze di token canonici: "$MR = MC$", "MR=MC" o
+ *   "P_X X + P_Y Y" trovano le formule, comunque siano spaziate nel sorgente
+ *
+ * API: window.BookSearchIndex = {
+ *   tokenize, stem, mathTokens, build, add, load, graphText, parseQuery, prepare, search, suggest,
+ *   matchOffsets, mathOffsets,
+ *   stripLiquidAndNoise, bookPath, isBigTocResult, romanToInt, bookOrderKey, cmpKeys
+ * }
+ */
+
+(function (root) {
+  'use strict';
+
+  // -------- parametri ranking --------
+
+  const BM25_K1 = 1.2;
+  const BM25_B = 0.75;
+  const TITLE_BOOST = 3;        // un'occorrenza nel titolo "vale" 3 occorrenze nel testo
+  const PROXIMITY_WEIGHT = 2;   // bonus massimo quando i termini sono adiacenti
+  const PREFIX_MAX_TERMS = 30;  // espansioni massime per l'ultima parola digitata
+  const PREFIX_WEIGHT = 0.5;    // un completamento pesa meno di una parola intera
+  const FUZZY_WEIGHT = 0.6;     // una correzione a distanza d pesa FUZZY_WEIGHT / d
+  const FUZZY_MAX_TERMS = 5;    // correzioni massime per parola
+  const MATH_SPAN_GAP = 5;      // distanza tra due formule: una sequenza non può "scavalcarle"
+
+  // -------- stopwords --------
+  // Le stesse liste e gli stessi stemmer sono in _includes/search-tokens.html e search-stem.html,
+  // che indicizzano le parole alla compilazione: una modifica va fatta in entrambi i posti.
+
+  const STOPWORDS = {
+    it: new Set((
+      'a ad al alla alle allo agli ai anche che chi ci col come con cui da dal dalla dalle dallo dagli dai ' +
+      'del della delle dello degli dei di e ed gli ha hanno i il in la le lo ma ne nel nella nelle nello ' +
+      'negli nei non o per piu poi quale quali quella quelle quello quelli questa queste questo questi ' +
+      'se si sia sono su sua sue suo suoi sul sulla sulle sullo sugli sui tra fra un una uno e ed dell nell all'
+    ).split(' ')),
+    en: new Set((
+      'a an and are as at be been but by can do does for from has have if in into is it its of on or ' +
+      'so such than that the their them then there these they this those to was we were what when which ' +
+      'while who will with would'
+    ).split(' '))
+  };
+
+  // -------- stemmer --------
+
+  // Stemmer leggero per l'italiano: toglie desinenze verbali comuni,
+  // poi la vocale finale (genere/numero). "che/chi" -> "c" per economico/economiche.
+  const IT_VERB_SUFFIXES = [
+    'ando', 'endo', 'are', 'ere', 'ire',
+    'ato', 'ata', 'ati', 'ate', 'uto', 'uta', 'uti', 'ute', 'ito', 'ita', 'iti', 'ite'
+  ];
+
+  function stemIt(w) {
+    if (w.length <= 3) return w;
+
+    for (const suf of IT_VERB_SUFFIXES) {
+      if (w.endsWith(suf) && w.length - suf.length >= 4) return w.slice(0, -suf.length);
+    }
+
+    if (/(che|chi|ghe|ghi)$/.test(w) && w.length >= 5) return w.slice(0, -2);
+    if (/[aeio]$/.test(w) && w.length >= 4) return w.slice(0, -1);
+    return w;
+  }
+
+  // Porter "ridotto" per l'inglese: plurali, -ed/-ing, qualche suffisso derivazionale.
+  const EN_SUFFIXES = [
+    ['ational', 'ate'], ['ization', 'ize'], ['fulness', 'ful'], ['ousness', 'ous'],
+    ['iveness', 'ive'], ['ality', 'al'], ['ivity', 'ive'], ['ity', ''], ['ness', ''],
+    ['ments', ''], ['ment', ''], ['ally', 'al'], ['ly', '']
+  ];
+
+  function hasVowel(s) {
+    return /[aeiouy]/.test(s);
+  }
+
+  function stemEn(w) {
+    if (w.length <= 3) return w;
+
+    if (w.endsWith('sses')) w = w.slice(0, -2);
+    else if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'y';
+    else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+    let m = w.match(/^(.+?)(ed|ing)$/);
+    if (m && hasVowel(m[1]) && m[1].length >= 3) {
+      w = m[1];
+      if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    }
+
+    for (const [suf, rep] of EN_SUFFIXES) {
+      if (w.endsWith(suf) && w.length - suf.length >= 4) {
+        w = w.slice(0, -suf.length) + rep;
+        break;
+      }
+    }
+
+    if (w.endsWith('e') && w.length > 4) w = w.slice(0, -1);
+    if (w.endsWith('y') && w.length > 4) w = w.slice(0, -1) + 'i';
+    return w;
+  }
+
+  function stem(word, lang) {
+    return lang === 'en' ? stemEn(word) : stemIt(word);
+  }
+
+  // -------- tokenizzazione --------
+
+  function foldWord(w) {
+    return w
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+  }
+
+  // Ritorna [{ term, word, surface, pos, start, end }]:
+  // - term:    forma stemmata (chiave dell'indice)
+  // - word:    forma "piegata" (minuscola, senza accenti), per prefissi e refusi
+  // - surface: parola originale in minuscolo (con accenti), per "Forse cercavi" 
+  // - pos:   posizione della parola nel testo (le stopword contano, ma non sono emesse)
+  // - start/end: offset nel testo ORIGINALE (per snippet ed evidenziazione)
+  function tokenize(text, lang) {
+    const out = [];
+    const stop = STOPWORDS[lang] || STOPWORDS.it;
+    const re = /[\p{L}\p{N}]+/gu;
+    let m;
+    let pos = 0;
+
+    while ((m = re.exec(text || '')) !== null) {
+      const word = foldWord(m[0]);
+      const p = pos++;
+      if (word.length < 2 || stop.has(word)) continue;
+      out.push({
+        term: stem(word, lang),
+        word,
+        surface: m[0].toLowerCase(),
+        pos: p,
+        start: m.index,
+        end: m.index + m[0].length
+      });
+    }
+
+    return out;
+  }
+
+  // -------- formule (LaTeX) --------
+
+  // I termini matematici nell'indice hanno un prefisso che non può comparire in una parola:
+  // "$p_x", "$=", "$mr", ... (così non si mescolano con stem, prefissi e refusi)
+  const MATH_PREFIX = '$';
+
+  // $$...$$, $...$, \(...\), \[...\]
+  const MATH_SPAN_RE = /\$\$([\s\S]*?)\$\$|\$([^$]*?)\$|\\\(([\s\S]*?)\\\)|\\\[([\s\S]*?)\\\]/g;
+
+  const MATH_OPS = {
+    leq: '<=', le: '<=', geq: '>=', ge: '>=', neq: '!=', ne: '!=',
+    times: '*', cdot: '*', div: '/', to: '->', rightarrow: '->', Rightarrow: '->'
+  };
+  const MATH_SYMBOLS = { '≤': '<=', '≥': '>=', '≠': '!=', '×': '*', '·': '*' };
+
+  // comandi senza significato per la ricerca (spaziature, dimensioni, delimitatori)
+  const MATH_SKIP = new Set([
+    'left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'displaystyle', 'textstyle',
+    'quad', 'qquad', 'small', 'large', 'Large', 'nonumber'
+  ]);
+  const MATH_SKIP_ARG = new Set(['color', 'begin', 'end', 'label']);   // argomento scartato
+  const MATH_TEXT = new Set(['text', 'textbf', 'textit', 'mathrm', 'mathit', 'mathbf', 'operatorname']);
+  const MATH_FRAC = new Set(['frac', 'dfrac', 'tfrac']);
+
+  // Gruppo LaTeX in s[i]: {...} bilanciato, \comando o singolo carattere
+  function readGroup(s, i) {
+    while (i < s.length && /\s/.test(s[i])) i++;
+    if (s[i] === '{') {
+      let depth = 0;
+      for (let j = i; j < s.length; j++) {
+        if (s[j] === '{') depth++;
+        else if (s[j] === '}' && --depth === 0) return { body: s.slice(i + 1, j), next: j + 1 };
+      }
+      return { body: s.slice(i + 1), next: s.length };
+    }
+    const m = s.slice(i).match(/^\\([a-zA-Z]+|.)/);
+    if (m) return { body: m[0], next: i + m[0].length };
+    return { body: s[i] || '', next: i + 1 };
+  }
+
+  // Forma canonica di una formula, indipendente da spazi e parentesi:
+  //   "P_XX + P_YY \leq M"  -> [p_x, x, +, p_y, y, <=, m]
+  //   "\frac{M}{P_Y}"       -> [m, /, p_y]   (come "M/P_Y")
+  //   "MRS_{XY}"            -> [mrs_xy]
+  function mathTokens(latex) {
+    const s = String(latex || '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+    const out = [];
+    let i = 0;
+
+    while (i < s.length) {
+      const c = s[i];
+      let m;
+
+      if (c === '\\') {
+        m = s.slice(i).match(/^\\([a-zA-Z]+|.)/);
+        if (!m) { i++; continue; }   // "\" in fondo (query ancora da finire): si ignora
+        i += m[0].length;
+        const cmd = m[1];
+
+        if (MATH_FRAC.has(cmd)) {
+          const a = readGroup(s, i);
+          const b = readGroup(s, a.next);
+          out.push(...mathTokens(a.body), '/', ...mathTokens(b.body));
+          i = b.next;
+        } else if (MATH_TEXT.has(cmd)) {
+          const g = readGroup(s, i);
+          out.push(...g.body.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+          i = g.next;
+        } else if (MATH_SKIP_ARG.has(cmd)) {
+          i = readGroup(s, i).next;
+        } else if (MATH_OPS[cmd]) {
+          out.push(MATH_OPS[cmd]);
+        } else if (/^[a-zA-Z]+$/.test(cmd) && !MATH_SKIP.has(cmd)) {
+          out.push(cmd.toLowerCase());   // \alpha, \Delta, \sqrt, \sum, ...
+        }
+        continue;
+      }
+
+      // pedice: si attacca all'identificatore che lo precede (P_X -> p_x)
+      if (c === '_') {
+        const g = readGroup(s, i + 1);
+        const sub = mathTokens(g.body).join('');
+        i = g.next;
+        if (!sub) continue;
+        if (out.length && /^[\p{L}\p{N}]/u.test(out[out.length - 1])) out[out.length - 1] += '_' + sub;
+        else out.push('_' + sub);
+        continue;
+      }
+
+      if ((m = s.slice(i).match(/^\p{L}+|^\d+(?:[.,]\d+)?/u))) {
+        out.push(m[0].toLowerCase());
+        i += m[0].length;
+        continue;
+      }
+
+      if ((m = s.slice(i).match(/^(?:<=|>=|!=|->|[=+\-<>\/*^≤≥≠×·])/))) {
+        out.push(MATH_SYMBOLS[m[0]] || m[0]);
+        i += m[0].length;
+        continue;
+      }
+
+      i++;   // spazi, parentesi, graffe, virgole, & ... non contano
+    }
+
+    return out;
+  }
+
+  // [{ start, end, tokens }] per ogni formula del testo
+  function mathSpans(text) {
+    const out = [];
+    const re = new RegExp(MATH_SPAN_RE.source, 'g');
+    let m;
+    while ((m = re.exec(text || '')) !== null) {
+      const body = [m[1], m[2], m[3], m[4]].find(b => b !== undefined);
+      const tokens = mathTokens(body);
+      if (tokens.length) out.push({ start: m.index, end: m.index + m[0].length, tokens });
+    }
+    return out;
+  }
+
+  // Token "matematici" di un documento, con posizioni: le formule sono separate da MATH_SPAN_GAP
+  function tokenizeMath(text) {
+    const out = [];
+    let pos = 0;
+    mathSpans(text).forEach((span) => {
+      span.tokens.forEach(t => out.push({ term: MATH_PREFIX + t, pos: pos++ }));
+      pos += MATH_SPAN_GAP;
+    });
+    return out;
+  }
+
+  // Dentro le formule i comandi (\frac, \leq, \text, ...) non sono parole del testo:
+  // li copriamo con spazi della stessa lunghezza (gli offset restano validi),
+  // mentre gli identificatori (MRS, MC) restano cercabili come parole.
+  function blankMathCommands(text) {
+    return String(text || '').replace(new RegExp(MATH_SPAN_RE.source, 'g'), span =>
+      span.replace(/\\[a-zA-Z]+/g, cmd => ' '.repeat(cmd.length)));
+  }
+
+  // -------- testo delle pagine e ordine del libro --------
+  // (condivisi con search-worker.js)
+
+  // Corpo di un blocco gathered/aligned -> formula in linea: righe separate da \quad, senza "&"
+  function inlineDisplayMath(body) {
+    const t = body
+      .replace(/\\\\/g, ' \\quad ')
+      .replace(/&/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return t ? ' $' + t + '$ ' : ' … ';
+  }
+
+  function stripLiquidAndNoise(text) {
+    if (!text) return '';
+
+    // 1) rimuovi costrutti liquid/jekyll
+    text = text.replace(/\{\%[\s\S]*?\%\}/g, ' ');
+    text = text.replace(/\{\{[\s\S]*?\}\}/g, ' ');
+
+    // 1bis) Le "display equations" salvate come \( \begin{gathered}...\end{gathered} \)
+    //       o \( \begin{aligned}...\end{aligned} \) (e anche le versioni \[ ... \]) diventano $...$ in linea:
+    //       niente \begin{gathered}/\end{gathered} nei risultati, ma la formula resta cercabile e renderizzabile.
+    text = text.replace(
+      /\\\(\s*\\begin\{(gathered|aligned)\}([\s\S]*?)\\end\{\1\}\s*\\\)/g,
+      (_, env, body) => inlineDisplayMath(body)
+    );
+    text = text.replace(
+      /\\\[\s*\\begin\{(gathered|aligned)\}([\s\S]*?)\\end\{\1\}\s*\\\]/g,
+      (_, env, body) => inlineDisplayMath(body)
+    );
+
+    // (opzionale ma utile) Se mai compaiono senza \( \) / \[ \], trattale allo stesso modo:
+    text = text.replace(
+      /\\begin\{(gathered|aligned)\}([\s\S]*?)\\end\{\1\}/g,
+      (_, env, body) => inlineDisplayMath(body)
+    );
+
+    // 2) Proteggi le porzioni LaTeX $...$ e $$...$$ con placeholder
+    const latexPlaces = [];
+    text = text.replace(/(\$\$?)([\s\S]*?)(\1)/g, function(_, open, body, close){
+      const id = '<<LATEX' + latexPlaces.length + '>>';
+      latexPlaces.push(open + body + close);
+      return id;
+    });
+
+    // 3) Inserisci separatore tra pezzi incollati:
+    //    a) fine frase/signo di interpunzione + parola con Maiuscola (es: ".Paradosso")
+    text = text.replace(/([.!?])(\p{Lu})/gu, '$1 … $2');
+
+    //    b) minuscola/numero + Maiuscola+minuscola (es: "rappresentaIl" -> "rappresenta … Il")
+    //       nota: qui non tocchiamo sequenze di sole maiuscole (es. "MC")
+    text = text.replace(/([\p{Ll}\p{N}])(\p{Lu})(?=\p{Ll})/gu, '$1 … $2');
+
+    // 4) normalizza spazi e ritorna il contenuto ripristinando i latex placeholder
+    text = text.replace(/\s+/g, ' ').trim();
+
+    // ripristina i blocchi LaTeX nella posizione originale
+    if (latexPlaces.length) {
+      for (let i = 0; i < latexPlaces.length; i++) {
+        const id = '<<LATEX' + i + '>>';
+        text = text.replace(id, latexPlaces[i]);
+      }
+    }
+
+    return text;
+  }
+
+  // url del sito -> path nel libro (/it/I/5/3.html): senza base (es. /micro26_wip5) e senza "//"
+  function bookPath(url, base) {
+    let u = String(url || '');
+    if (base && u === base) u = '/';
+    else if (base && u.startsWith(base + '/')) u = u.slice(base.length);
+    return u.replace(/\/{2,}/g, '/');
+  }
+
+  function isBigTocResult(url, base) {
+    // url nel search index è del tipo "<baseurl>/it/...":
+    // normalizziamo togliendo l’eventuale base e i doppioni di slash.
+    const u = bookPath(url, base);
+
+    // Escludi home lingua + varianti comuni della big TOC e l'indice analitico
+    // (/it/, /it, /it/index.html, /it/toc-big.html, /it/analytic-index.html, ecc.)
+    return (
+      /^\/(it|en)\/?$/.test(u) ||
+      /^\/(it|en)\/index(?:\.html)?$/.test(u) ||
+      /^\/(it|en)\/toc-big(?:\.html)?$/.test(u) ||
+      /^\/(it|en)\/toc_big(?:\.html)?$/.test(u) ||
+      /^\/(it|en)\/analytic-index(?:\.html)?$/.test(u)
+    );
+  }
+
+  function romanToInt(r) {
+    const s = (r || "").toUpperCase();
+    const map = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
+    let total = 0, prev = 0;
+    for (let i = s.length - 1; i >= 0; i--) {
+      const v = map[s[i]] || 0;
+      if (v < prev) total -= v;
+      else { total += v; prev = v; }
+    }
+    return total || 0;
+  }
+
+  // Ritorna la “posizione nel libro” come tuple:
+  // [partIndex, chapterNumber, sectionNumberOr0, isSectionFlag]
+  // così possiamo ordinare stabilmente.
+  function bookOrderKey(url, base) {
+    const u = bookPath(url, base);
+
+    // Prefazione prima di tutto
+    if (u === "/it/pr.html" || u === "/en/pr.html") return [0, 0, 0, 0];
+
+    // atteso: /it/I/5/3.html  oppure /it/I/5/index.html
+    const m = u.match(/^\/(it|en)\/([^\/]+)\/(\d+)\/([^\/]+)$/);
+    if (!m) return [999, 999, 999, 9]; // fuori schema: in fondo
+
+    const partFolder = m[2];                 // "I", "II", ...
+    const chap = parseInt(m[3], 10) || 999;  // "5" -> 5
+    const last = m[4];                       // "3.html" o "index.html"
+
+    const partIdx = romanToInt(partFolder);
+
+    if (last === "index.html") {
+      // pagina indice capitolo: mettila prima delle sezioni del capitolo
+      return [partIdx, chap, 0, 0];
+    }
+
+    const secMatch = last.match(/^(\d+)\.html$/);
+    const sec = secMatch ? (parseInt(secMatch[1], 10) || 999) : 999;
+
+    return [partIdx, chap, sec, 1];
+  }
+
+  function cmpKeys(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      const da = a[i] ?? 0;
+      const db = b[i] ?? 0;
+      if (da !== db) return da - db;
+    }
+    return 0;
+  }
+
+  // -------- costruzione indice --------
+
+  // forms === null: niente forme di superficie (formule)
+  function addPostings(terms, forms, docId, tokens, field) {
+    for (const tok of tokens) {
+      if (forms) {
+        let f = forms.get(tok.term);
+        if (!f) forms.set(tok.term, (f = new Map()));
+        f.set(tok.surface, (f.get(tok.surface) || 0) + 1);
+      }
+
+      let byDoc = terms.get(tok.term);
+      if (!byDoc) {
+        byDoc = new Map();
+        terms.set(tok.term, byDoc);
+      }
+      let p = byDoc.get(docId);
+      if (!p) {
+        p = { tf: 0, ttf: 0, mtf: 0, pos: [], tpos: [], mpos: [] };
+        byDoc.set(docId, p);
+      }
+      if (field === 'title') {
+        p.ttf++;
+        p.tpos.push(tok.pos);
+      } else if (field === 'math') {
+        p.mtf++;
+        p.mpos.push(tok.pos);
+      } else {
+        p.tf++;
+        p.pos.push(tok.pos);
+      }
+    }
+  }
+
+  // docs: [{ title, url, content, subtitle?, anchor? }] (un documento per sottosezione)
+  // opts.lang:  'it' | 'en'
+  // opts.clean: funzione di pulizia del testo (es. stripLiquidAndNoise)
+  function build(docs, opts) {
+    const index = {
+      lang: (opts && opts.lang) || 'it',
+      clean: (opts && opts.clean) || (s => s || ''),
+      docs: [],
+      terms: new Map(),
+      forms: new Map(),   // stem -> forma più frequente nel testo (per i suggerimenti)
+      formCounts: new Map(),
+      vocab: [],
+      totalLen: 0,
+      avgLen: 0
+    };
+
+    return add(index, docs);
+  }
+
+  // Aggiunge documenti a un indice esistente (es. i grafici, caricati dopo il testo)
+  function add(index, docs) {
+    const lang = index.lang;
+    const touched = new Set();
+
+    (docs || []).forEach((d) => {
+      const id = index.docs.length;
+      const text = index.clean(d.content || '');
+      const body = tokenize(blankMathCommands(text), lang);
+      const math = tokenizeMath(text);
+      const head = tokenize((d.title || '') + ' ' + (d.subtitle || ''), lang);
+
+      index.docs.push(Object.assign({}, d, {
+        id,
+        text,
+        len: body.length
+      }));
+      index.totalLen += body.length;
+
+      addPostings(index.terms, index.formCounts, id, body, 'body');
+      addPostings(index.terms, index.formCounts, id, head, 'title');
+      addPostings(index.terms, null, id, math, 'math');
+      body.concat(head).forEach(tok => touched.add(tok.term));
+    });
+
+    return finish(index, touched);
+  }
+
+  // Indice già costruito da Jekyll: search.json ha le radici e quante volte compaiono in ogni
+  // documento (data.terms, vedi _includes/search-terms.html), qui si aggiungono solo le formule.
+  // Le posizioni restano vuote finché fillPositions() non le calcola.
+  // data: { docs, terms } come in search.json (docs[i].len = parole del testo)
+  // opts: come build(), più opts.filter(doc) -> false per i documenti da scartare
+  // Un search.json senza terms (build precedente) si indicizza come con build().
+  function load(data, opts) {
+    const all = (data && data.docs) || [];
+    const keep = (opts && opts.filter) || (() => true);
+    if (!data || !data.terms) return build(all.filter(keep), opts);
+
+    const index = build([], opts);
+    const ids = new Map();   // posizione in data.docs -> id nell'indice
+
+    all.forEach((d, i) => {
+      if (!keep(d)) return;
+      const id = index.docs.length;
+      const text = index.clean(d.content || '');
+      ids.set(i, id);
+
+      index.docs.push(Object.assign({}, d, { id, text, len: d.len || 0, lazy: true }));
+      index.totalLen += d.len || 0;
+      addPostings(index.terms, null, id, tokenizeMath(text), 'math');
+    });
+
+    const touched = new Set();
+    Object.keys(data.terms).forEach((term) => {
+      const entry = data.terms[term];
+      const byDoc = new Map();
+
+      (entry.docs || []).forEach(([doc, field, n]) => {
+        const id = ids.get(doc);
+        if (id === undefined) return;
+        let p = byDoc.get(id);
+        if (!p) {
+          p = { tf: 0, ttf: 0, mtf: 0, pos: [], tpos: [], mpos: [] };
+          byDoc.set(id, p);
+        }
+        if (field === 1) p.ttf += n;
+        else p.tf += n;
+      });
+      if (!byDoc.size) return;
+
+      index.terms.set(term, byDoc);
+      index.formCounts.set(term, new Map(Object.entries(entry.forms || {})));
+      touched.add(term);
+    });
+
+    return finish(index, touched);
+  }
+
+  // Posizioni delle parole di un documento di load(), con lo stesso tokenize() delle query:
+  // si calcolano la prima volta che il documento si valuta, non per tutto il libro all'avvio
+  function fillPositions(index, docId) {
+    const doc = index.docs[docId];
+    if (!doc.lazy) return;
+    doc.lazy = false;
+
+    const fill = (toks, key) => toks.forEach((tok) => {
+      const p = index.terms.has(tok.term) && index.terms.get(tok.term).get(docId);
+      if (p) p[key].push(tok.pos);
+    });
+    fill(tokenize(blankMathCommands(doc.text), index.lang), 'pos');
+    fill(tokenize((doc.title || '') + ' ' + (doc.subtitle || ''), index.lang), 'tpos');
+  }
+
+  // Dopo build/add/load: lunghezza media, vocabolario e forma più frequente delle radici toccate
+  function finish(index, touched) {
+    index.avgLen = index.docs.length ? (index.totalLen / index.docs.length) : 0;
+    index.vocab = Array.from(index.terms.keys()).sort();
+
+    touched.forEach((term) => {
+      let best = '', bestN = -1;
+      index.formCounts.get(term).forEach((n, form) => { if (n > bestN) { best = form; bestN = n; } });
+      index.forms.set(term, best);
+    });
+    return index;
+  }
+
+  // -------- grafici kg (YAML) --------
+
+  // Chiavi YAML che contengono testo "leggibile" in un grafico EconSchema
+  const GRAPH_TEXT_KEYS = /^(\s*)(?:-\s+)?(title|label|text|description|html):\s?(.*)$/;
+
+  function unquoteYaml(v) {
+    v = v.trim();
+    if (v.length >= 2 && (v[0] === '"' || v[0] === "'") && v[v.length - 1] === v[0]) v = v.slice(1, -1);
+    return v.replace(/\\+/g, '\\');
+  }
+
+  // Testo di un valore: via template ${...}, backtick, tag HTML, \color{...}, \text{...}
+  function cleanGraphValue(key, v) {
+    let t = unquoteYaml(v)
+      .replace(/\$\{[^}]*\}/g, '…')
+      .replace(/`/g, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\\color\{[^}]*\}/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    // label/text sono in modalità matematica in kg: \text{...} -> testo, il resto -> $...$
+    if (key === 'label' || key === 'text') {
+      t = t.replace(/\\(?:text|large|small)\{([^}]*)\}/g, '$1').trim();
+      if (!/\$/.test(t) && /[\\_^]/.test(t)) t = '$' + t + '$';
+    }
+    return t;
+  }
+
+  // Estrae dal sorgente YAML di un grafico:
+  // - figure:  il titolo dei Controls (es. "FIGURE 2.11")
+  // - sliders: le etichette degli slider
+  // - content: tutto il testo indicizzabile (etichette assi, Controls, Explanation, ...)
+  // Parser "a righe": basta per i file EconSchema del libro, senza caricare js-yaml.
+  function graphText(yaml) {
+    const lines = String(yaml || '').split(/\r?\n/);
+    const out = { figure: '', sliders: [], content: '' };
+    const parts = [];
+    let slidersIndent = -1;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (/^\s*#/.test(line)) continue;
+
+      const indent = line.search(/\S/);
+      if (indent >= 0 && slidersIndent >= 0 && indent <= slidersIndent && !/^\s*-/.test(line.slice(slidersIndent))) {
+        slidersIndent = -1;
+      }
+      if (/^\s*sliders:\s*$/.test(line)) {
+        slidersIndent = indent;
+        continue;
+      }
+
+      const m = line.match(GRAPH_TEXT_KEYS);
+      if (!m) continue;
+
+      const key = m[2];
+      let v = m[3];
+
+      // valore su più righe: stringa quotata non chiusa, oppure scalare "plain" con righe più indentate
+      const q = v.trim()[0];
+      if (q === '"' || q === "'") {
+        while (!(v.trim().length > 1 && v.trim().endsWith(q)) && i + 1 < lines.length) v += ' ' + lines[++i].trim();
+      } else if (v.trim() !== '' && key === 'description') {
+        while (i + 1 < lines.length && lines[i + 1].search(/\S/) > m[1].length && !/^\s*[\w-]+:/.test(lines[i + 1])) {
+          v += ' ' + lines[++i].trim();
+        }
+      }
+
+      const t = cleanGraphValue(key, v);
+      if (!t || t === '…') continue;
+
+      // il titolo dei Controls ("FIGURE 2.11" / "FIGURA 2.11") vince sui titoli dei singoli grafici
+      if (key === 'title' && (!out.figure || (/^FIGUR[EA]\b/i.test(t) && !/^FIGUR[EA]\b/i.test(out.figure)))) {
+        out.figure = t;
+      }
+      if (key === 'label' && slidersIndent >= 0) out.sliders.push(t);
+      parts.push(t);
+    }
+
+    out.content = parts.join(' … ');
+    return out;
+  }
+
+  // -------- interrogazione --------
+
+  // Termini dell'indice che iniziano con `prefix` (vocab ordinato -> ricerca binaria)
+  function expandPrefix(index, prefix) {
+    const v = index.vocab;
+    let lo = 0, hi = v.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (v[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    const out = [];
+    for (let i = lo; i < v.length && v[i].startsWith(prefix) && out.length < PREFIX_MAX_TERMS; i++) {
+      out.push(v[i]);
+    }
+    return out;
+  }
+
+  // Levenshtein con uscita anticipata: ritorna max + 1 se la distanza supera max
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prev = new Array(b.length + 1);
+    let cur = new Array(b.length + 1);
+    for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      cur[0] = i;
+      let rowMin = cur[0];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (cur[j] < rowMin) rowMin = cur[j];
+      }
+      if (rowMin > max) return max + 1;
+      [prev, cur] = [cur, prev];
+    }
+    return prev[b.length];
+  }
+
+  function commonPrefix(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    return i;
+  }
+
+  function maxTypos(word) {
+    if (word.length <= 3) return word.length === 3 ? 1 : 0;
+    return word.length <= 5 ? 1 : 2;
+  }
+
+  // Termini del vocabolario "vicini" a una parola della query: [{ term, dist }],
+  // ordinati per distanza e poi per diffusione nel libro
+  function fuzzyTerms(index, tok) {
+    const max = maxTypos(tok.word);
+    if (!max) return [];
+
+    const out = [];
+    for (const t of index.vocab) {
+      if (t[0] === MATH_PREFIX) continue;
+      const d = Math.min(editDistance(tok.term, t, max), editDistance(tok.word, t, max));
+      if (d > 0 && d <= max) out.push({ term: t, dist: d, pre: commonPrefix(tok.word, t), df: index.terms.get(t).size });
+    }
+    // a parità di distanza: prima chi condivide l'inizio della parola (i refusi stanno
+    // raramente nelle prime lettere), poi i termini più diffusi
+    out.sort((a, b) => (a.dist - b.dist) || (b.pre - a.pre) || (b.df - a.df));
+    return out.slice(0, FUZZY_MAX_TERMS);
+  }
+
+  function idf(index, term) {
+    const byDoc = index.terms.get(term);
+    const df = byDoc ? byDoc.size : 0;
+    const n = index.docs.length;
+    return Math.log(1 + (n - df + 0.5) / (df + 0.5));
+  }
+
+  // tf: occorrenze "pesate" del termine nel documento
+  function bm25(index, doc, tf, termIdf) {
+    const norm = 1 - BM25_B + BM25_B * (index.avgLen ? doc.len / index.avgLen : 1);
+    return termIdf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+  }
+
+  // Finestra minima (in parole) che contiene almeno una occorrenza di ogni gruppo
+  function minSpan(lists) {
+    const events = [];
+    lists.forEach((l, g) => l.forEach(pos => events.push([pos, g])));
+    events.sort((a, b) => a[0] - b[0]);
+
+    const need = lists.length;
+    const count = new Array(need).fill(0);
+    let have = 0;
+    let best = Infinity;
+    let lo = 0;
+
+    for (let hi = 0; hi < events.length; hi++) {
+      if (count[events[hi][1]]++ === 0) have++;
+      while (have === need) {
+        best = Math.min(best, events[hi][0] - events[lo][0]);
+        if (--count[events[lo][1]] === 0) have--;
+        lo++;
+      }
+    }
+    return best;
+  }
+
+  // Frase: esiste p tale che ogni gruppo i ha una posizione p + offset[i]
+  function hasPhrase(lists, offsets) {
+    const sets = lists.map(l => new Set(l));
+    for (const p0 of lists[0]) {
+      const base = p0 - offsets[0];
+      if (sets.every((s, i) => s.has(base + offsets[i]))) return true;
+    }
+    return false;
+  }
+
+  // -------- sintassi della query --------
+  //
+  //   costo marginale           tutte le parole (AND), con bonus di vicinanza
+  //   "costo marginale"         frase esatta
+  //   elasticità OR rigidità    alternative (OR lega più di AND: a b OR c = a AND (b OR c))
+  //   -lungo  -"lungo periodo"  esclude i documenti che contengono il termine
+  //   title:elasticità          solo nei titoli
+  //   $MR = MC$  MR=MC          formula (vedi mathTokens)
+  //   part:III chapter:7        filtri sul libro: li risolve il chiamante (opts.filter)
+  //   graph:  graph:domanda     solo i grafici (anche -graph: per escluderli)
+
+  const QUERY_FIELDS = new Set(['title', 'part', 'chapter', 'graph']);
+  const FILTER_FIELDS = new Set(['part', 'chapter', 'graph']);
+
+  // Senza "$" un termine è una formula se contiene operatori o comandi LaTeX ("MR=MC", "P_X X + P_Y Y")
+  const MATH_QUERY_RE = /[=<>^_\\≤≥≠]|[\p{L}\p{N}]\s*[+*\/]\s*[\p{L}\p{N}]/u;
+
+  // Pezzi della query: { or } oppure { neg, field, text, textStart, phrase, math }
+  // textStart = offset di `text` nella query originale (per "Forse cercavi")
+  function lexQuery(src) {
+    const items = [];
+    let i = 0;
+
+    while (i < src.length) {
+      if (/\s/.test(src[i])) { i++; continue; }
+
+      let neg = false;
+      let field = '';
+      if (src[i] === '-') {
+        neg = true;
+        i++;
+      }
+      const fm = src.slice(i).match(/^([a-zA-Z]+):/);
+      if (fm) {
+        field = fm[1].toLowerCase();
+        i += fm[0].length;
+      }
+
+      let m;
+      if (src[i] === '"') {
+        // frase (anche non ancora chiusa mentre si digita)
+        const end = src.indexOf('"', i + 1);
+        const stop = end === -1 ? src.length : end;
+        items.push({ neg, field, text: src.slice(i + 1, stop), textStart: i + 1, phrase: true });
+        i = end === -1 ? src.length : end + 1;
+      } else if ((m = src.slice(i).match(/^(\$\$?)([^$]*)(?:\$\$?|$)/))) {
+        items.push({ neg, field, text: m[2], textStart: i + m[1].length, math: true });
+        i += m[0].length;
+      } else {
+        m = src.slice(i).match(/^\S*/);
+        if (!neg && !field && m[0] === 'OR') items.push({ or: true });
+        else items.push({ neg, field, text: m[0], textStart: i });
+        i += m[0].length;
+      }
+    }
+
+    return items;
+  }
+
+  function queryError(code, detail) {
+    return { code, detail: detail || '' };
+  }
+
+  // Ritorna {
+  //   clauses:  [[alt, ...], ...]   AND di clausole, ogni clausola è un OR di alternative
+  //   excludes: [alt, ...]           termini esclusi
+  //   filters:  [{ field, value, neg }]
+  //   error:    null | { code, detail }   (unknownField, emptyField, danglingOr, emptyExclude, onlyExclusions)
+  // }
+  // alt = { text, textStart, phrase, title, prefix, qpos } (parole) oppure { math: [token canonici] }
+  function parseQuery(raw) {
+    const src = raw || '';
+    const q = { clauses: [], excludes: [], filters: [], error: null };
+
+    let items = lexQuery(src);
+
+    // una query "semplice" che sembra una formula è una formula intera: P_X X + P_Y Y
+    const plain = items.every(it => !it.or && !it.neg && !it.field && !it.phrase && !it.math);
+    if (plain && items.length && MATH_QUERY_RE.test(src)) {
+      items = [{ text: src.trim(), textStart: src.search(/\S/), math: true }];
+    }
+
+    // l'ultimo termine è "in corso di digitazione" se non c'è uno spazio finale
+    const prefixLast = !/[\s$"]$/.test(src);
+    let wordPos = 0;        // posizione (in parole) nella query, per il bonus di vicinanza
+    let pendingOr = false;
+    let lastWasTerm = false;
+
+    for (let k = 0; k < items.length; k++) {
+      const it = items[k];
+
+      if (it.or) {
+        if (!lastWasTerm || pendingOr) return Object.assign(q, { error: queryError('danglingOr') });
+        pendingOr = true;
+        continue;
+      }
+
+      if (it.field && !QUERY_FIELDS.has(it.field)) {
+        return Object.assign(q, { error: queryError('unknownField', it.field) });
+      }
+      if (it.neg && !it.field && !it.text) {
+        return Object.assign(q, { error: queryError('emptyExclude') });
+      }
+      if ((it.neg || FILTER_FIELDS.has(it.field)) && pendingOr) {
+        return Object.assign(q, { error: queryError('danglingOr') });
+      }
+
+      if (FILTER_FIELDS.has(it.field)) {
+        if (!it.text && it.field !== 'graph') return Object.assign(q, { error: queryError('emptyField', it.field) });
+        q.filters.push({ field: it.field, value: it.field === 'graph' ? '' : it.text, neg: it.neg });
+        lastWasTerm = false;
+        // graph:domanda = solo grafici + la parola "domanda"
+        if (it.field !== 'graph' || !it.text || it.neg) continue;
+      } else if (it.field === 'title' && !it.text) {
+        return Object.assign(q, { error: queryError('emptyField', 'title') });
+      }
+
+      let alt;
+      if (it.math || (!it.phrase && MATH_QUERY_RE.test(it.text))) {
+        alt = { math: mathTokens(it.text) };
+        if (!alt.math.length) continue;
+      } else {
+        alt = {
+          text: it.text,
+          textStart: it.textStart,
+          phrase: !!it.phrase,
+          title: it.field === 'title',
+          prefix: k === items.length - 1 && prefixLast && !it.phrase && !it.neg,
+          qpos: wordPos
+        };
+        wordPos += (it.text.match(/[\p{L}\p{N}]+/gu) || []).length;
+      }
+
+      if (it.neg) {
+        q.excludes.push(alt);
+        lastWasTerm = false;
+      } else if (pendingOr) {
+        q.clauses[q.clauses.length - 1].push(alt);
+        pendingOr = false;
+        lastWasTerm = true;
+      } else {
+        q.clauses.push([alt]);
+        lastWasTerm = true;
+      }
+    }
+
+    if (pendingOr) return Object.assign(q, { error: queryError('danglingOr') });
+    if (!q.clauses.length && !q.filters.length && q.excludes.length) {
+      return Object.assign(q, { error: queryError('onlyExclusions') });
+    }
+    return q;
+  }
+
+  // -------- valutazione --------
+
+  const NO_DOCS = { docs: new Set(), get: () => null };
+
+  // Documenti che contengono un'alternativa "a parole": { docs, get(docId) }.
+  // docs = candidati (tutte le parole presenti); get() calcola il punteggio solo quando serve
+  // (così la ricerca si può "servire" un capitolo alla volta) e ritorna { score, terms, pos }
+  // oppure null (es. frase non rispettata). pos = posizioni nel testo, per il bonus di vicinanza.
+  // null se l'alternativa non ha parole utili (solo stopword).
+  function evalWords(index, alt, fuzzy) {
+    const toks = tokenize(alt.text, index.lang);
+    if (!toks.length) return null;
+
+    // ogni parola diventa un "gruppo" di termini alternativi { term, w }
+    const groups = toks.map((tok, i) => {
+      const isLast = i === toks.length - 1;
+      const alts = index.terms.has(tok.term) ? [{ term: tok.term, w: 1 }] : [];
+      if (isLast && alt.prefix) {
+        for (const t of expandPrefix(index, tok.word)) {
+          if (t !== tok.term) alts.push({ term: t, w: PREFIX_WEIGHT });
+        }
+      }
+      if (fuzzy && !alts.length) {
+        for (const f of fuzzyTerms(index, tok)) alts.push({ term: f.term, w: FUZZY_WEIGHT / f.dist });
+      }
+      return { alts, offset: tok.pos - toks[0].pos };
+    });
+
+    if (groups.some(g => !g.alts.length)) return NO_DOCS;
+
+    // AND: intersezione dei documenti di tutti i gruppi
+    let candidates = null;
+    for (const g of groups) {
+      const docs = new Set();
+      g.alts.forEach(a => index.terms.get(a.term).forEach((p, docId) => {
+        if (!alt.title || p.ttf) docs.add(docId);
+      }));
+      candidates = candidates ? new Set([...candidates].filter(d => docs.has(d))) : docs;
+      if (!candidates.size) return NO_DOCS;
+    }
+
+    const idfs = new Map();
+    groups.forEach(g => g.alts.forEach(a => idfs.set(a.term, idf(index, a.term))));
+
+    const memo = new Map();
+
+    function score(docId) {
+      const doc = index.docs[docId];
+      fillPositions(index, docId);
+      const bodyLists = [];
+      const titleLists = [];
+      const found = [];
+      let total = 0;
+
+      for (const g of groups) {
+        let gBody = [];
+        let gTitle = [];
+        let gScore = 0;
+        for (const a of g.alts) {
+          const p = index.terms.get(a.term).get(docId);
+          if (!p || (alt.title && !p.ttf)) continue;
+          found.push(a.term);
+          const tf = alt.title ? TITLE_BOOST * p.ttf : p.tf + TITLE_BOOST * p.ttf;
+          gScore = Math.max(gScore, a.w * bm25(index, doc, tf, idfs.get(a.term)));
+          gBody = gBody.concat(p.pos);
+          gTitle = gTitle.concat(p.tpos);
+        }
+        total += gScore;
+        bodyLists.push(gBody);
+        titleLists.push(gTitle);
+      }
+
+      if (alt.phrase && groups.length > 1) {
+        const offsets = groups.map(g => g.offset);
+        const inBody = !alt.title && bodyLists.every(l => l.length) && hasPhrase(bodyLists, offsets);
+        const inTitle = titleLists.every(l => l.length) && hasPhrase(titleLists, offsets);
+        if (!inBody && !inTitle) return null;
+      }
+
+      if (groups.length > 1 && bodyLists.every(l => l.length)) {
+        const span = minSpan(bodyLists);
+        const ideal = groups[groups.length - 1].offset;
+        if (isFinite(span)) total += PROXIMITY_WEIGHT * (1 + ideal) / (1 + Math.max(span, ideal));
+      }
+
+      return { score: total, terms: found, pos: [].concat(...bodyLists) };
+    }
+
+    return {
+      docs: candidates,
+      get(docId) {
+        if (!candidates.has(docId)) return null;
+        if (!memo.has(docId)) memo.set(docId, score(docId));
+        return memo.get(docId);
+      }
+    };
+  }
+
+  // Documenti che contengono la formula come sequenza di token consecutivi: { docs, get(docId) }
+  function evalMath(index, alt) {
+    const seq = alt.math.map(t => MATH_PREFIX + t);
+    if (seq.some(t => !index.terms.has(t))) return NO_DOCS;
+
+    let candidates = null;
+    for (const t of seq) {
+      const docs = index.terms.get(t);
+      candidates = candidates ? new Set([...candidates].filter(d => docs.has(d))) : new Set(docs.keys());
+      if (!candidates.size) return NO_DOCS;
+    }
+
+    const offsets = seq.map((_, k) => k);
+    const memo = new Map();
+
+    function score(docId) {
+      const postings = seq.map(t => index.terms.get(t).get(docId));
+      if (!hasPhrase(postings.map(p => p.mpos), offsets)) return null;
+
+      let total = 0;
+      new Set(seq).forEach((t) => {
+        total += bm25(index, index.docs[docId], index.terms.get(t).get(docId).mtf, idf(index, t));
+      });
+      return { score: total, terms: [], pos: [], math: alt.math };
+    }
+
+    return {
+      docs: candidates,
+      get(docId) {
+        if (!candidates.has(docId)) return null;
+        if (!memo.has(docId)) memo.set(docId, score(docId));
+        return memo.get(docId);
+      }
+    };
+  }
+
+  function evalAlt(index, alt, fuzzy) {
+    return alt.math ? evalMath(index, alt) : evalWords(index, alt, fuzzy);
+  }
+
+  // Prepara una ricerca senza ancora calcolare i punteggi:
+  //   { error, candidates: [docId], score(docId) -> { doc, score, terms, math } | null }
+  // Il chiamante può valutare i candidati a blocchi (es. un capitolo alla volta, in un Web Worker).
+  // opts come in search().
+  function prepare(index, raw, opts) {
+    const none = { error: null, candidates: [], score: () => null };
+    if (!index) return none;
+    const fuzzy = !!(opts && opts.fuzzy);
+    const filter = opts && opts.filter;
+
+    const q = parseQuery(raw);
+    if (q.error) return Object.assign({}, none, { error: q.error });
+
+    // le clausole fatte solo di stopword non contano
+    const evaluated = q.clauses
+      .map(alts => ({ alts, maps: alts.map(a => evalAlt(index, a, fuzzy)).filter(Boolean) }))
+      .filter(c => c.maps.length);
+    const clauses = evaluated.map(c => c.maps);
+    const excludes = q.excludes.map(a => evalAlt(index, a, false)).filter(Boolean);
+    if (!clauses.length && !q.filters.length) return none;
+
+    let candidates = null;
+    for (const c of clauses) {
+      const docs = new Set();
+      c.forEach(m => m.docs.forEach(docId => docs.add(docId)));
+      candidates = candidates ? new Set([...candidates].filter(d => docs.has(d))) : docs;
+      if (!candidates.size) return none;
+    }
+    if (!candidates) candidates = index.docs.map(d => d.id);
+
+    // ideale per il bonus di vicinanza: le clausole (a parole) adiacenti come nella query
+    const wordClauses = evaluated.filter(c => c.alts.every(a => !a.math && !a.title));
+    const ideal = wordClauses.length > 1
+      ? wordClauses[wordClauses.length - 1].alts[0].qpos - wordClauses[0].alts[0].qpos
+      : 0;
+
+    function passes(doc) {
+      return q.filters.every((f) => {
+        let ok;
+        if (f.field === 'graph') ok = doc.type === 'graph';
+        else if (filter) ok = !!filter(doc, f);
+        else return true;
+        return f.neg ? !ok : ok;
+      });
+    }
+
+    function score(docId) {
+      const doc = index.docs[docId];
+      if (!passes(doc)) return null;
+      if (excludes.some(m => m.get(docId))) return null;
+
+      let total = 0;
+      const found = [];
+      const math = [];
+      const posLists = [];
+
+      for (const c of clauses) {
+        let matched = false;
+        let best = 0;
+        let pos = [];
+        for (const m of c) {
+          const r = m.get(docId);
+          if (!r) continue;
+          matched = true;
+          best = Math.max(best, r.score);
+          found.push(...r.terms);
+          if (r.math) math.push(r.math);
+          pos = pos.concat(r.pos);
+        }
+        if (!matched) return null;   // es. frase presente solo come parole sparse
+        total += best;
+        if (pos.length) posLists.push(pos);
+      }
+
+      if (posLists.length > 1 && posLists.length === wordClauses.length) {
+        const span = minSpan(posLists);
+        const want = Math.max(ideal, posLists.length - 1);
+        if (isFinite(span)) total += PROXIMITY_WEIGHT * (1 + want) / (1 + Math.max(span, want));
+      }
+
+      return { doc, score: total, terms: Array.from(new Set(found)), math };
+    }
+
+    return { error: null, candidates: Array.from(candidates), score };
+  }
+
+  // Ritorna [{ doc, score, terms, math }] (non ordinato per libro: lo fa il chiamante).
+  // terms = stem effettivamente trovati nel documento (per snippet/evidenziazione).
+  // math  = formule della query trovate nel documento (sequenze canoniche, per lo snippet).
+  // opts.fuzzy:  le parole assenti dal vocabolario vengono sostituite dai termini più vicini
+  // opts.filter: (doc, { field, value }) -> bool, per part:/chapter: (senza, i filtri sono ignorati)
+  // Con un errore di sintassi (parseQuery(raw).error) ritorna [].
+  function search(index, raw, opts) {
+    const p = prepare(index, raw, opts);
+    return p.candidates.map(p.score).filter(Boolean);
+  }
+
+  // "Forse cercavi": la query con le parole sconosciute sostituite dalla correzione
+  // più probabile (nella forma in cui compare nel libro). null se non c'è nulla da correggere.
+  // Operatori, campi e formule restano come li ha scritti l'utente.
+  function suggest(index, raw) {
+    if (!index) return null;
+
+    const q = parseQuery(raw);
+    if (q.error) return null;
+
+    const edits = [];
+    q.clauses.forEach(alts => alts.forEach((alt) => {
+      if (alt.math) return;
+      tokenize(alt.text, index.lang).forEach((tok) => {
+        if (index.terms.has(tok.term)) return;
+        const best = fuzzyTerms(index, tok)[0];
+        if (!best) return;
+        edits.push({
+          start: alt.textStart + tok.start,
+          end: alt.textStart + tok.end,
+          text: index.forms.get(best.term) || best.term
+        });
+      });
+    }));
+
+    if (!edits.length) return null;
+
+    // da destra a sinistra, così gli offset delle modifiche precedenti restano validi
+    let text = raw;
+    edits.sort((a, b) => b.start - a.start).forEach((e) => {
+      text = text.slice(0, e.start) + e.text + text.slice(e.end);
+    });
+    return text.trim();
+  }
+
+  // Offset (nel testo originale) delle parole il cui stem è in `terms`
+  function matchOffsets(text, terms, lang) {
+    const set = new Set(terms || []);
+    return tokenize(text, lang)
+      .filter(tok => set.has(tok.term))
+      .map(tok => ({ start: tok.start, end: tok.end }));
+  }
+
+  // Offset delle formule del testo che contengono una delle sequenze `seqs` (da search().math)
+  function mathOffsets(text, seqs) {
+    const wanted = (seqs || []).filter(seq => seq.length);
+    if (!wanted.length) return [];
+    return mathSpans(text)
+      .filter(span => wanted.some(seq => span.tokens.some((_, i) => seq.every((t, k) => span.tokens[i + k] === t))))
+      .map(span => ({ start: span.start, end: span.end }));
+  }
+
+  root.BookSearchIndex = {
+    tokenize,
+    stem,
+    mathTokens,
+    build,
+    add,
+    load,
+    graphText,
+    parseQuery,
+    prepare,
+    search,
+    suggest,
+    matchOffsets,
+    mathOffsets,
+    stripLiquidAndNoise,
+    bookPath,
+    isBigTocResult,
+    romanToInt,
+    bookOrderKey,
+    cmpKeys
+  };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,531 @@
+/*
+  Web Worker della ricerca (lo avvia static/js/search.js).
+  - Scarica search.json (con l'indice delle parole già pronto) e i YAML dei grafici, e completa
+    l'indice (static/js/search-index.js) fuori dal thread principale
+  - Cache "versionata": search-worker.js?v=<build> -> search.json?v=<build> con force-cache,
+    così il browser riusa l'indice finché il sito non viene ricompilato
+  - Ogni ricerca ha un id: una ricerca nuova (o "cancel") interrompe quella in corso
+  - I risultati arrivano a blocchi, un capitolo alla volta in ordine di libro:
+    il primo capitolo si vede prima che il resto sia valutato
+
+  Messaggi in ingresso:
+    { type: 'load', lang }
+    { type: 'search', id, query, lang, xlang }   (xlang: anche l'altra edizione)
+    { type: 'cancel' }
+    { type: 'usage', lang }                      sezioni che usano i termini dell'indice analitico
+  Messaggi in uscita:
+    { type: 'ready', lang, outline }             indice pronto (outline: Parte -> capitoli)
+    { type: 'graphs', lang }                     aggiunti i grafici: conviene rilanciare la ricerca
+    { type: 'failed', lang, message }            search.json non disponibile
+    { type: 'syntax', id, error }                errore nella query ({ code, detail })
+    { type: 'terms', id, terms }                 voci dell'indice analitico che corrispondono alla query
+    { type: 'chunk', id, rows }                  righe di un capitolo (vedi toRow)
+    { type: 'done', id, total, suggestion }      fine; suggestion = "Forse cercavi", oppure null
+    { type: 'error', id, message }               la ricerca id si è interrotta per un errore imprevisto
+    { type: 'usage', lang, terms }               [{ slug, used: [{ url, anchor, section, title }], more }]
+*/
+
+(function () {
+  'use strict';
+
+  const BUILD = new URL(self.location.href).searchParams.get('v') || '';
+
+  // /micro26_wip5/static/js/search-worker.js -> /micro26_wip5
+  const BASE = self.location.pathname.replace(/\/static\/js\/search-worker\.js$/, '');
+
+  importScripts(versioned(BASE + '/static/js/search-index.js'));
+  const SearchIndex = self.BookSearchIndex;
+
+  const MAX_ROWS = 80;
+  const SNIPPET_LEN = 240;
+  const GRAPH_FETCH_CONCURRENCY = 6;
+  const TERMS_MAX = 5;          // voci dell'indice analitico proposte sopra i risultati
+  const USED_MAX = 12;          // sezioni "usato anche in" per voce
+
+  // -------- fetch con versione --------
+
+  function versioned(url) {
+    return BUILD ? url + (url.indexOf('?') === -1 ? '?' : '&') + 'v=' + encodeURIComponent(BUILD) : url;
+  }
+
+  // Con la versione nell'URL la copia in cache è valida finché non cambia la build;
+  // senza versione (es. pagina servita senza Liquid) si rivalida ogni volta
+  function fetchVersioned(url) {
+    return fetch(versioned(url), { cache: BUILD ? 'force-cache' : 'no-cache' });
+  }
+
+  // -------- helpers (URL + ordine del libro) --------
+
+  // testo e ordine del libro: condivisi con l'indice (search-index.js), con la base di questo sito
+  const { romanToInt, cmpKeys, stripLiquidAndNoise } = SearchIndex;
+  const bookPath = url => SearchIndex.bookPath(url, BASE);
+  const bookOrderKey = url => SearchIndex.bookOrderKey(url, BASE);
+  const isBigTocResult = url => SearchIndex.isBigTocResult(url, BASE);
+
+  // part:III / part:3 -> numero della parte (come in bookOrderKey); 0 se non valido
+  function partNumber(value) {
+    const v = String(value || '').trim();
+    if (/^\d+$/.test(v)) return parseInt(v, 10);
+    if (/^[ivxlcdm]+$/i.test(v)) return romanToInt(v);
+    return 0;
+  }
+
+  function filterError(filters) {
+    for (const f of filters) {
+      if (f.field === 'part' && !partNumber(f.value)) return { code: 'badPart', detail: f.value };
+      if (f.field === 'chapter' && !/^\d+$/.test(f.value)) return { code: 'badChapter', detail: f.value };
+    }
+    return null;
+  }
+
+  // Filtri part:/chapter: per BookSearchIndex (graph: lo gestisce l'indice)
+  function bookFilter(doc, f) {
+    const k = bookOrderKey(doc.url);
+    if (f.field === 'part') return k[0] === partNumber(f.value);
+    if (f.field === 'chapter') return k[1] === parseInt(f.value, 10);
+    return true;
+  }
+
+  // -------- snippet --------
+
+  // Posizione della prima occorrenza: prima la formula cercata, poi la query letterale,
+  // poi le parole il cui stem coincide con uno dei termini trovati dall'indice
+  function firstMatchIndex(t, q, terms, lang, math) {
+    if (math && math.length) {
+      const spans = SearchIndex.mathOffsets(t, math);
+      if (spans.length) return spans[0].start;
+    }
+
+    const i = t.toLowerCase().indexOf(q.toLowerCase());
+    if (i !== -1) return i;
+    if (!terms || !terms.length) return -1;
+
+    const offs = SearchIndex.matchOffsets(t, terms, lang);
+    return offs.length ? offs[0].start : -1;
+  }
+
+  // t: testo già normalizzato (doc.text dell'indice)
+  function makeSnippet(t, q, maxLen, terms, lang, math) {
+    const i = firstMatchIndex(t, q, terms, lang, math);
+    if (i === -1) return t.slice(0, maxLen);
+
+    const start = Math.max(0, i - Math.floor(maxLen / 3));
+    const end = Math.min(t.length, start + maxLen);
+
+    const SEP = ' … ';
+
+    // prendiamo il “core” senza aggiungere ancora puntini/separatori
+    let core = t.slice(start, end);
+
+    // Se il core termina dentro $...$, NON inserire ellissi prima di chiudere.
+    const coreDollarCount = (core.match(/\$/g) || []).length;
+    if (coreDollarCount % 2 === 1) {
+      // prova ad estendere fino al prossimo '$' (max 200 char)
+      const rest = t.slice(end, Math.min(t.length, end + 200));
+      const nextDollar = rest.indexOf('$');
+      if (nextDollar >= 0) {
+        core = core + t.slice(end, end + nextDollar + 1);
+      } else {
+        // fallback: taglia via la parte di LaTeX rimasta aperta
+        const lastDollar = core.lastIndexOf('$');
+        if (lastDollar >= 0) core = core.slice(0, lastDollar);
+      }
+    }
+
+    // ora possiamo aggiungere separatori VISIBILI tra pezzi, senza rompere KaTeX
+    let snippet = core;
+    if (start > 0) snippet = '…' + SEP + snippet;
+    if (end < t.length) snippet = snippet + SEP + '…';
+
+    return snippet;
+  }
+
+  // -------- caricamento indici --------
+
+  const indexes = {};          // lang -> indice costruito
+  const indexPromises = {};    // lang -> Promise dell'indice
+
+  function ensureIndexLoaded(lang) {
+    if (indexes[lang]) return Promise.resolve(indexes[lang]);
+    if (indexPromises[lang]) return indexPromises[lang];
+
+    const url = `${BASE}/${lang}/search.json`;
+    indexPromises[lang] = fetchVersioned(url)
+      .then(r => {
+        if (!r.ok) throw new Error(`Cannot load ${url} (${r.status})`);
+        return r.json();
+      })
+      .then(data => {
+        // formato attuale: { version, lang, outline, docs: [...] }; accettiamo anche il vecchio array
+        const docs = Array.isArray(data) ? data : (data && data.docs);
+        if (!Array.isArray(docs)) throw new Error('Invalid search index (expected docs array)');
+
+        const isText = d => d.type !== 'graph' && !isBigTocResult(d.url);
+        const graphRefs = docs.filter(d => d.type === 'graph' && d.graph);
+
+        // parole già indicizzate da Jekyll (data.terms): qui solo le formule, una volta sola;
+        // le posizioni delle parole si calcolano documento per documento, durante la ricerca
+        const index = SearchIndex.load({ docs, terms: data && data.terms },
+          { lang, clean: stripLiquidAndNoise, filter: isText });
+        indexes[lang] = index;
+        self.postMessage({ type: 'ready', lang, outline: (data && data.outline) || {} });
+
+        // i grafici arrivano dopo, senza bloccare la ricerca nel testo
+        loadGraphDocs(index, graphRefs);
+        return index;
+      })
+      .catch(err => {
+        delete indexPromises[lang];
+        self.postMessage({ type: 'failed', lang, message: err.message });
+        throw err;
+      });
+
+    return indexPromises[lang];
+  }
+
+  // Scarica i YAML dei grafici (pochi alla volta), ne estrae il testo e li aggiunge all'indice
+  function loadGraphDocs(index, refs) {
+    if (!refs.length) return;
+
+    const queue = refs.slice();
+    const graphDocs = [];
+
+    function worker() {
+      const ref = queue.shift();
+      if (!ref) return Promise.resolve();
+
+      return fetchVersioned(`${BASE}/${index.lang}/graphs/${ref.graph}.yml`.replace(/\/{2,}/g, '/'))
+        .then(r => (r.ok ? r.text() : ''))
+        .then(yaml => {
+          if (!yaml) return;
+          const g = SearchIndex.graphText(yaml);
+          graphDocs.push(Object.assign({}, ref, {
+            subtitle: g.figure,
+            sliders: g.sliders,
+            content: g.content
+          }));
+        })
+        .catch(() => {})
+        .then(worker);
+    }
+
+    const workers = [];
+    for (let i = 0; i < GRAPH_FETCH_CONCURRENCY; i++) workers.push(worker());
+
+    Promise.all(workers).then(() => {
+      SearchIndex.add(index, graphDocs);
+      self.postMessage({ type: 'graphs', lang: index.lang });
+    });
+  }
+
+  // -------- due edizioni: una riga per sezione --------
+
+  // Chiave "di sezione" indipendente dalla lingua: /I/2/3.html#text2 (terzo blocco di testo della pagina).
+  // Gli id delle sottosezioni non coincidono tra le edizioni (SUBSEC_VDB / subsec_VDB,
+  // SUBSEC_OPT / subsec_cons-opt), l'ordine dei blocchi nella pagina sì.
+  // Ricalcolata solo quando l'indice cresce (arrivo dei grafici).
+  function sectionKeys(index) {
+    if (index.sectionKeys && index.sectionKeys.size === index.docs.length) return index.sectionKeys;
+
+    const keys = new Map();   // doc.id -> chiave
+    const seen = new Map();   // pagina -> numero di blocchi di testo già visti
+    index.docs.forEach((d) => {
+      const page = bookPath(d.url).replace(/^\/(it|en)\//, '/');
+      if (d.type === 'graph') {
+        keys.set(d.id, page + '#graph:' + d.graph);   // i grafici hanno lo stesso nome nelle due edizioni
+        return;
+      }
+      const n = seen.get(page) || 0;
+      seen.set(page, n + 1);
+      keys.set(d.id, page + '#text' + n);
+    });
+
+    // per titolare le righe "solo nell'altra lingua" con titolo e anchor dell'edizione corrente
+    index.sectionDocs = new Map();
+    index.docs.forEach(d => index.sectionDocs.set(keys.get(d.id), d));
+    index.sectionKeys = keys;
+    return keys;
+  }
+
+  // URL della stessa sezione nell'altra edizione (stesso path sotto l'altra radice di lingua)
+  function parallelUrl(url, lang) {
+    return String(url || '').replace(/\/(it|en)\//, '/' + lang + '/');
+  }
+
+  // Fonde i risultati delle due edizioni: una riga per sezione, nella lingua corrente.
+  // rows: [{ doc, score, hits: [{ lang, doc, terms, math }] }]
+  function mergeHits(lang, own, other, ownIndex, otherIndex) {
+    const rows = new Map();
+    const ownKeys = sectionKeys(ownIndex);
+
+    own.forEach((h) => {
+      rows.set(ownKeys.get(h.doc.id), { doc: h.doc, score: h.score, hits: [Object.assign({ lang }, h)] });
+    });
+    if (!other.length) return Array.from(rows.values());
+
+    const otherKeys = sectionKeys(otherIndex);
+    const xl = otherIndex.lang;
+    other.forEach((h) => {
+      const key = otherKeys.get(h.doc.id);
+      const hit = Object.assign({ lang: xl }, h);
+      const row = rows.get(key);
+      if (row) {
+        row.score = Math.max(row.score, h.score);
+        row.hits.push(hit);
+        return;
+      }
+      const doc = ownIndex.sectionDocs.get(key) ||
+        Object.assign({}, h.doc, { url: parallelUrl(h.doc.url, lang) });
+      rows.set(key, { doc, score: h.score, hits: [hit] });
+    });
+
+    return Array.from(rows.values());
+  }
+
+  // Riga da spedire al thread principale: niente testo completo, solo lo snippet per edizione
+  function toRow(row, q) {
+    const d = row.doc;
+    return {
+      doc: {
+        id: d.id,
+        type: d.type,
+        title: d.title,
+        subtitle: d.subtitle,
+        anchor: d.anchor,
+        url: d.url,
+        sliders: d.sliders,
+        number: d.number
+      },
+      hits: row.hits.map(h => ({
+        lang: h.lang,
+        snippet: makeSnippet(h.doc.text || '', q, SNIPPET_LEN, h.terms, h.lang, h.math),
+        terms: h.terms,
+        math: h.math
+      }))
+    };
+  }
+
+  // -------- ricerca a blocchi --------
+
+  let latest = 0;   // id dell'ultima ricerca richiesta; le altre si fermano al prossimo blocco
+
+  function nextTick() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  // Candidati di tutte le edizioni raggruppati per capitolo, in ordine di libro.
+  // chapters: [{ key: [parte, capitolo], items: [{ prepared, index, docId }] }]
+  function chaptersOf(searches) {
+    const byChapter = new Map();
+    searches.forEach(({ index, prepared }) => {
+      prepared.candidates.forEach((docId) => {
+        const k = bookOrderKey(index.docs[docId].url);
+        const key = k[0] + '/' + k[1];
+        if (!byChapter.has(key)) byChapter.set(key, { key: [k[0], k[1]], items: [] });
+        byChapter.get(key).items.push({ prepared, index, docId });
+      });
+    });
+    return Array.from(byChapter.values()).sort((a, b) => cmpKeys(a.key, b.key));
+  }
+
+  // Valuta un capitolo alla volta e lo spedisce; false se nel frattempo è arrivata un'altra ricerca
+  async function streamPass(id, q, lang, searches, sent) {
+    const chapters = chaptersOf(searches);
+    const own = searches[0].index;
+    const other = searches[1] ? searches[1].index : null;
+
+    for (const ch of chapters) {
+      if (sent.total >= MAX_ROWS) break;
+
+      const ownHits = [];
+      const xlHits = [];
+      ch.items.forEach(({ prepared, index, docId }) => {
+        const h = prepared.score(docId);
+        if (h) (index === own ? ownHits : xlHits).push(h);
+      });
+
+      const rows = mergeHits(lang, ownHits, xlHits, own, other);
+      if (rows.length) {
+        // Dentro lo stesso capitolo: prima la rilevanza (BM25), poi sezione, poi sottosezione
+        rows.sort((a, b) =>
+          (b.score - a.score) ||
+          cmpKeys(bookOrderKey(a.doc.url), bookOrderKey(b.doc.url)) ||
+          (a.doc.id - b.doc.id));
+
+        const chunk = rows.slice(0, MAX_ROWS - sent.total).map(r => toRow(r, q));
+        sent.total += chunk.length;
+        self.postMessage({ type: 'chunk', id, rows: chunk });
+      }
+
+      await nextTick();
+      if (latest !== id) return false;
+    }
+    return true;
+  }
+
+  // -------- indice analitico (en/analytic-index.json, it/analytic-index.json) --------
+
+  const termLists = {};   // lang -> Promise [{ term, slug, defs, stems }]
+
+  // Non fallisce mai: senza l'indice analitico la ricerca funziona lo stesso
+  function loadTerms(lang) {
+    if (termLists[lang]) return termLists[lang];
+
+    termLists[lang] = fetchVersioned(`${BASE}/${lang}/analytic-index.json`)
+      .then(r => {
+        if (!r.ok) throw new Error(String(r.status));
+        return r.json();
+      })
+      .then(data => ((data && Array.isArray(data.terms)) ? data.terms : []).map(t => Object.assign({}, t, {
+        stems: SearchIndex.tokenize(t.term, lang).map(tok => tok.term)
+      })))
+      .catch(() => {
+        delete termLists[lang];
+        return [];
+      });
+
+    return termLists[lang];
+  }
+
+  // Voci che contengono le parole della query, nello stesso ordine ("costi" -> costo fisso, costo medio, ...).
+  // L'ultima parola può essere incompleta. Prima le voci che iniziano con la query, poi le più corte.
+  function matchTerms(terms, raw, lang) {
+    const parsed = SearchIndex.parseQuery(raw);
+    if (parsed.error || parsed.filters.length || parsed.excludes.length) return [];
+
+    const toks = SearchIndex.tokenize(raw.replace(/"/g, ' '), lang);
+    if (!toks.length || toks.some(t => t.term.charAt(0) === '$')) return [];
+    const qs = toks.map(t => t.term);
+    const last = toks[toks.length - 1].word;
+
+    function startsAt(stems, words, i) {
+      for (let j = 0; j < qs.length; j++) {
+        const k = i + j;
+        if (k >= stems.length) return false;
+        const ok = j === qs.length - 1
+          ? (stems[k] === qs[j] || words[k].startsWith(last))
+          : stems[k] === qs[j];
+        if (!ok) return false;
+      }
+      return true;
+    }
+
+    const found = [];
+    terms.forEach((t) => {
+      const words = SearchIndex.tokenize(t.term, lang).map(tok => tok.word);
+      for (let i = 0; i + qs.length <= t.stems.length; i++) {
+        if (startsAt(t.stems, words, i)) {
+          found.push({ t, at: i });
+          return;
+        }
+      }
+    });
+
+    return found
+      .sort((a, b) => ((a.at > 0) - (b.at > 0)) || (a.t.stems.length - b.t.stems.length))
+      .slice(0, TERMS_MAX)
+      .map(f => ({ term: f.t.term, slug: f.t.slug }));
+  }
+
+  // Per ogni voce: le sezioni che usano il termine (come frase) senza definirlo, in ordine di libro
+  async function runUsage(msg) {
+    const lang = msg.lang === 'en' ? 'en' : 'it';
+    let index;
+    try {
+      index = await ensureIndexLoaded(lang);
+    } catch (_) {
+      return;
+    }
+    const terms = await loadTerms(lang);
+
+    const out = [];
+    for (let i = 0; i < terms.length; i++) {
+      const t = terms[i];
+      const defs = new Set((t.defs || []).map(d => d.url));
+      const sections = new Map();   // url -> primo blocco che usa il termine
+
+      SearchIndex.search(index, '"' + t.term.replace(/"/g, ' ') + '"', { filter: bookFilter })
+        .map(h => h.doc)
+        .filter(d => d.type !== 'graph' && !defs.has(d.url) && bookOrderKey(d.url)[3] === 1)
+        .sort((a, b) => cmpKeys(bookOrderKey(a.url), bookOrderKey(b.url)) || (a.id - b.id))
+        .forEach((d) => {
+          if (!sections.has(d.url)) sections.set(d.url, d);
+        });
+
+      const used = Array.from(sections.values()).map((d) => {
+        const k = bookOrderKey(d.url);
+        return { url: d.url, anchor: d.anchor || '', section: k[1] + '.' + k[2], title: d.title };
+      });
+      out.push({ slug: t.slug, used: used.slice(0, USED_MAX), more: Math.max(0, used.length - USED_MAX) });
+
+      // un termine alla volta: le ricerche dell'utente non aspettano tutto l'indice
+      if (i % 10 === 9) await nextTick();
+    }
+
+    self.postMessage({ type: 'usage', lang, terms: out });
+  }
+
+  async function runSearch(msg) {
+    const id = msg.id;
+    latest = id;
+
+    const raw = String(msg.query || '');
+    const parsed = SearchIndex.parseQuery(raw);
+    const syntaxError = parsed.error || filterError(parsed.filters);
+    if (syntaxError) {
+      self.postMessage({ type: 'syntax', id, error: syntaxError });
+      return;
+    }
+
+    const lang = msg.lang === 'en' ? 'en' : 'it';
+    const termsLoaded = loadTerms(lang);
+    const wanted = [ensureIndexLoaded(lang)];
+    if (msg.xlang) wanted.push(ensureIndexLoaded(lang === 'en' ? 'it' : 'en').catch(() => null));
+
+    let loaded;
+    try {
+      loaded = (await Promise.all(wanted)).filter(Boolean);
+    } catch (_) {
+      return;   // già segnalato con "failed"
+    }
+    if (latest !== id) return;
+
+    const terms = matchTerms(await termsLoaded, raw, lang);
+    if (latest !== id) return;
+    if (terms.length) self.postMessage({ type: 'terms', id, terms });
+
+    const q = raw.trim().replace(/^"|"$/g, '');
+    const sent = { total: 0 };
+    const prepareAll = fuzzy => loaded.map(index => ({
+      index,
+      prepared: SearchIndex.prepare(index, raw, { fuzzy, filter: bookFilter })
+    }));
+
+    if (!await streamPass(id, q, lang, prepareAll(false), sent)) return;
+
+    // Nessun risultato esatto: proponi la correzione e mostra i risultati "approssimati"
+    let suggestion = null;
+    if (!sent.total) {
+      suggestion = SearchIndex.suggest(loaded[0], raw);
+      if (!await streamPass(id, q, lang, prepareAll(true), sent)) return;
+    }
+
+    self.postMessage({ type: 'done', id, total: sent.total, suggestion });
+  }
+
+  self.addEventListener('message', (ev) => {
+    const msg = ev.data || {};
+    if (msg.type === 'load') {
+      ensureIndexLoaded(msg.lang === 'en' ? 'en' : 'it').catch(() => {});
+    } else if (msg.type === 'search') {
+      // un errore imprevisto chiude comunque la ricerca: la pagina lo mostra al posto dei risultati
+      runSearch(msg).catch((err) => {
+        self.postMessage({ type: 'error', id: msg.id, message: (err && err.message) || String(err) });
+      });
+    } else if (msg.type === 'cancel') {
+      latest = 0;
+    } else if (msg.type === 'usage') {
+      runUsage(msg).catch(() => {});
+    }
+  });
+})();
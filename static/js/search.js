@@ -4,6 +4,15 @@
   - Works even when toc_split.html itself is NOT under /it/ or /en/
     (language is inferred from the iframe src or ?load=...)
   - Renders inline LaTeX using KaTeX (via window.katex, already loaded by kg)
+  - Ranks hits with BM25 over a stemmed inverted index (static/js/search-index.js),
+    built and queried in a Web Worker (static/js/search-worker.js): results stream in
+    chapter by chapter, a new keystroke cancels the search in progress
+  - Keyboard: "/" or Ctrl+K opens it, arrows + Enter pick a result (aria-activedescendant)
+  - Results grouped by Part › Chapter (collapsible), recent searches in localStorage
+  - Matching entries of the analytic index (en/analytic-index.md) are listed above the results
+  - Query syntax: "phrase", -term, a OR b, title:, part:III, chapter:7, graph: (errors -> inline hint)
+  - Optional cross-language search: the other edition's hits are mapped to the
+    parallel section (/it/I/2/3 <-> /en/I/2/3) and merged into one row per section
 */
 
 (function () {
@@ -59,10 +68,8 @@
     return aa + '/' + bb;
   }
 
-  function getIndexUrl() {
-    const base = normalizeBase(inferBaseUrlFromThisScript());
-    const lang = inferLang();
-    return joinPath(base, `${lang}/search.json`);
+  function otherLang(lang) {
+    return lang === 'en' ? 'it' : 'en';
   }
 
   function getBasePath() {
@@ -115,62 +122,7 @@
     return base ? (base + rel) : rel;
   }
 
-  // -------- helpers (text cleaning + KaTeX) --------
-
-  function stripLiquidAndNoise(text) {
-    if (!text) return '';
-
-    // 1) rimuovi costrutti liquid/jekyll
-    text = text.replace(/\{\%[\s\S]*?\%\}/g, ' ');
-    text = text.replace(/\{\{[\s\S]*?\}\}/g, ' ');
-
-    // 1bis) Collassa le "display equations" salvate come \( \begin{gathered}...\end{gathered} \)
-    //       o \( \begin{aligned}...\end{aligned} \) (e anche le versioni \[ ... \]) in un semplice separatore.
-    //       Così in search results non compaiono \begin{gathered}/\end{gathered}, che sono lunghi e "brutti".
-    text = text.replace(
-      /\\\(\s*\\begin\{(gathered|aligned)\}[\s\S]*?\\end\{\1\}\s*\\\)/g,
-      ' … '
-    );
-    text = text.replace(
-      /\\\[\s*\\begin\{(gathered|aligned)\}[\s\S]*?\\end\{\1\}\s*\\\]/g,
-      ' … '
-    );
-
-    // (opzionale ma utile) Se mai compaiono senza \( \) / \[ \], collassa anche queste:
-    text = text.replace(
-      /\\begin\{(gathered|aligned)\}[\s\S]*?\\end\{\1\}/g,
-      ' … '
-    );
-
-    // 2) Proteggi le porzioni LaTeX $...$ e $$...$$ con placeholder
-    const latexPlaces = [];
-    text = text.replace(/(\$\$?)([\s\S]*?)(\1)/g, function(_, open, body, close){
-      const id = '<<LATEX' + latexPlaces.length + '>>';
-      latexPlaces.push(open + body + close);
-      return id;
-    });
-
-    // 3) Inserisci separatore tra pezzi incollati:
-    //    a) fine frase/signo di interpunzione + parola con Maiuscola (es: ".Paradosso")
-    text = text.replace(/([.!?])(\p{Lu})/gu, '$1 … $2');
-
-    //    b) minuscola/numero + Maiuscola+minuscola (es: "rappresentaIl" -> "rappresenta … Il")
-    //       nota: qui non tocchiamo sequenze di sole maiuscole (es. "MC")
-    text = text.replace(/([\p{Ll}\p{N}])(\p{Lu})(?=\p{Ll})/gu, '$1 … $2');
-
-    // 4) normalizza spazi e ritorna il contenuto ripristinando i latex placeholder
-    text = text.replace(/\s+/g, ' ').trim();
-
-    // ripristina i blocchi LaTeX nella posizione originale
-    if (latexPlaces.length) {
-      for (let i = 0; i < latexPlaces.length; i++) {
-        const id = '<<LATEX' + i + '>>';
-        text = text.replace(id, latexPlaces[i]);
-      }
-    }
-
-    return text;
-  }
+  // -------- helpers (HTML + KaTeX) --------
 
   function escapeHtml(s) {
     return (s || '')
@@ -251,16 +203,6 @@
     return parts.join('');
   }
 
-  function normalize(s) {
-    return (s || '')
-      .toLowerCase()
-      .normalize('NFD')
-      .replace(/[\u0300-\u036f]/g, '')
-      .replace(/[^\p{L}\p{N}]+/gu, ' ')
-      .trim()
-      .replace(/\s+/g, ' ');
-  }
-
   function stripBaseFromUrl(url) {
     const base = getBasePath();
     if (!url) return url;
@@ -285,124 +227,346 @@
   if (searchBtn.dataset.searchBound === '1') return;
   searchBtn.dataset.searchBound = '1';
 
-  let indexData = null;
-  let indexPromise = null;
+  const bookOutlines = {};     // lang -> { "I": { title, chapters: { "2": "..." } } } da search.json
+  let focusBeforeOpen = null;  // dove tornare con il focus alla chiusura
+
+  function isOverlayOpen() {
+    return overlay.style.display !== 'none' && overlay.getAttribute('aria-hidden') === 'false';
+  }
 
   function setOverlayOpen(open) {
+    if (open && !isOverlayOpen()) focusBeforeOpen = document.activeElement;
+
     overlay.style.display = open ? 'block' : 'none';
     overlay.setAttribute('aria-hidden', open ? 'false' : 'true');
+    input.setAttribute('aria-expanded', open ? 'true' : 'false');
     if (open) {
       input.focus();
       input.select();
+    } else {
+      setActiveOption(null);
+      cancelSearch();
+      if (focusBeforeOpen && typeof focusBeforeOpen.focus === 'function') {
+        try { focusBeforeOpen.focus(); } catch (_) {}
+      }
+      focusBeforeOpen = null;
     }
   }
 
+  const MESSAGES = {
+    it: {
+      noResults: 'Nessun risultato', didYouMean: 'Forse cercavi:', graph: 'Grafico', figure: 'Figura {x}', sliders: 'Cursori:',
+      recent: 'Ricerche recenti', clearRecent: 'Cancella', fromEn: 'Trovato nell\'edizione inglese',
+      indexTerms: 'Nell\'indice analitico:',
+      unknownField: 'Campo sconosciuto "{x}:". Campi disponibili: title:, part:, chapter:, graph:',
+      emptyField: 'Manca il valore dopo "{x}:" (es. title:elasticità, part:III, chapter:7)',
+      danglingOr: 'OR va messo tra due termini (es. elasticità OR rigidità)',
+      emptyExclude: 'Dopo "-" scrivi il termine da escludere (es. -monopolio)',
+      onlyExclusions: 'Oltre ai termini esclusi serve almeno un termine da cercare',
+      badPart: 'Parte non valida "{x}": usa un numero romano o arabo (part:III, part:3)',
+      badChapter: 'Capitolo non valido "{x}": usa un numero (chapter:7)',
+      syntax: 'Sintassi: "frase esatta"  -escludi  a OR b  title:parola  part:III  chapter:7  graph:'
+    },
+    en: {
+      noResults: 'No results', didYouMean: 'Did you mean:', graph: 'Graph', figure: 'Figure {x}', sliders: 'Sliders:',
+      recent: 'Recent searches', clearRecent: 'Clear', fromIt: 'Found in the Italian edition',
+      indexTerms: 'In the analytic index:',
+      unknownField: 'Unknown field "{x}:". Available fields: title:, part:, chapter:, graph:',
+      emptyField: 'Missing value after "{x}:" (e.g. title:elasticity, part:III, chapter:7)',
+      danglingOr: 'OR goes between two terms (e.g. elastic OR inelastic)',
+      emptyExclude: 'Write the term to exclude after "-" (e.g. -monopoly)',
+      onlyExclusions: 'Besides excluded terms, add at least one term to search for',
+      badPart: 'Invalid part "{x}": use a Roman or Arabic numeral (part:III, part:3)',
+      badChapter: 'Invalid chapter "{x}": use a number (chapter:7)',
+      syntax: 'Syntax: "exact phrase"  -exclude  a OR b  title:word  part:III  chapter:7  graph:'
+    }
+  };
+
+  function msg(key) {
+    return (MESSAGES[inferLang()] || MESSAGES.it)[key];
+  }
+
+  // Errore di sintassi nella query: un suggerimento al posto della lista vuota
+  function renderSyntaxHint(error) {
+    clearResults('');
+
+    const box = document.createElement('div');
+    box.className = 'search-hint';
+    box.setAttribute('role', 'alert');
+    box.textContent = (msg(error.code) || msg('syntax')).replace('{x}', error.detail || '');
+
+    const help = document.createElement('div');
+    help.className = 'search-hint-help';
+    help.textContent = msg('syntax');
+    box.appendChild(help);
+
+    results.appendChild(box);
+  }
+
   function clearResults(messageHtml) {
+    setActiveOption(null);
     results.innerHTML = messageHtml ? `<div class="search-error">${messageHtml}</div>` : '';
   }
 
-  function ensureIndexLoaded() {
-    if (indexData) return Promise.resolve(indexData);
-    if (indexPromise) return indexPromise;
-
-    const url = getIndexUrl();
-    indexPromise = fetch(url, { cache: 'no-store' })
-      .then(r => {
-        if (!r.ok) throw new Error(`Cannot load ${url} (${r.status})`);
-        return r.json();
-      })
-      .then(data => {
-        if (!Array.isArray(data)) throw new Error('Invalid search index (expected array)');
-        indexData = data;
-        return indexData;
-      })
-      .catch(err => {
-        clearResults(escapeHtml(`Error: ${err.message}`));
-        throw err;
-      });
+  // -------- navigazione da tastiera (listbox + aria-activedescendant) --------
 
-    return indexPromise;
+  let optionSeq = 0;
+
+  // Le opzioni navigabili: risultati e ricerche recenti, esclusi i gruppi chiusi
+  function visibleOptions() {
+    return Array.from(results.querySelectorAll('[role="option"]'))
+      .filter(el => !el.closest('.search-group.is-collapsed'));
   }
 
-  function occCount(hay, needle) {
-    if (!hay || !needle) return 0;
-    let n = 0;
-    let pos = 0;
-    while (true) {
-      const j = hay.indexOf(needle, pos);
-      if (j === -1) return n;
-      n++;
-      pos = j + needle.length;
+  function setActiveOption(el) {
+    results.querySelectorAll('[role="option"].is-active').forEach((o) => {
+      o.classList.remove('is-active');
+      o.setAttribute('aria-selected', 'false');
+    });
+
+    if (!el) {
+      input.removeAttribute('aria-activedescendant');
+      return;
     }
+
+    el.classList.add('is-active');
+    el.setAttribute('aria-selected', 'true');
+    input.setAttribute('aria-activedescendant', el.id);
+    el.scrollIntoView({ block: 'nearest' });
   }
 
-  function scoreMatchAND(haystack, tokens) {
-    for (const t of tokens) {
-      if (!t) continue;
-      if (haystack.indexOf(t) === -1) return -1;
-    }
+  function moveActiveOption(delta) {
+    const opts = visibleOptions();
+    if (!opts.length) return;
 
-    const idx = Math.min(...tokens.map(t => haystack.indexOf(t)).filter(i => i >= 0));
-    let score = 0;
-    if (idx >= 0) score += (5000 - idx);
-    for (const t of tokens) score += occCount(haystack, t) * 20;
-    return score > 0 ? score : -1;
-  }
-
-  function makeSnippet(text, q, maxLen) {
-    const t = stripLiquidAndNoise(text);
-    const lower = t.toLowerCase();
-    const qi = q.toLowerCase();
-    const i = lower.indexOf(qi);
-    if (i === -1) return t.slice(0, maxLen);
-
-    const start = Math.max(0, i - Math.floor(maxLen / 3));
-    const end = Math.min(t.length, start + maxLen);
-
-    const SEP = ' … ';
-
-    // prendiamo il “core” senza aggiungere ancora puntini/separatori
-    let core = t.slice(start, end);
-
-    // Se il core termina dentro $...$, NON inserire ellissi prima di chiudere.
-    const coreDollarCount = (core.match(/\$/g) || []).length;
-    if (coreDollarCount % 2 === 1) {
-      // prova ad estendere fino al prossimo '$' (max 200 char)
-      const rest = t.slice(end, Math.min(t.length, end + 200));
-      const nextDollar = rest.indexOf('$');
-      if (nextDollar >= 0) {
-        core = core + t.slice(end, end + nextDollar + 1);
-      } else {
-        // fallback: taglia via la parte di LaTeX rimasta aperta
-        const lastDollar = core.lastIndexOf('$');
-        if (lastDollar >= 0) core = core.slice(0, lastDollar);
-      }
+    const cur = opts.findIndex(o => o.classList.contains('is-active'));
+    let next;
+    if (cur === -1) next = delta > 0 ? 0 : opts.length - 1;
+    else next = (cur + delta + opts.length) % opts.length;
+    setActiveOption(opts[next]);
+  }
+
+  function makeOption(el) {
+    el.id = 'search-opt-' + (++optionSeq);
+    el.setAttribute('role', 'option');
+    el.setAttribute('aria-selected', 'false');
+    el.tabIndex = -1;
+    return el;
+  }
+
+  // -------- ricerche recenti (localStorage) --------
+
+  const RECENT_KEY = 'search_recent';
+  const RECENT_MAX = 8;
+
+  function loadRecentSearches() {
+    try {
+      const all = JSON.parse(localStorage.getItem(RECENT_KEY) || '{}');
+      const list = all && all[inferLang()];
+      return Array.isArray(list) ? list.filter(q => typeof q === 'string') : [];
+    } catch (_) {
+      return [];
     }
+  }
 
-    // ora possiamo aggiungere separatori VISIBILI tra pezzi, senza rompere KaTeX
-    let snippet = core;
-    if (start > 0) snippet = '…' + SEP + snippet;
-    if (end < t.length) snippet = snippet + SEP + '…';
+  function saveRecentSearches(list) {
+    try {
+      const all = JSON.parse(localStorage.getItem(RECENT_KEY) || '{}') || {};
+      all[inferLang()] = list.slice(0, RECENT_MAX);
+      localStorage.setItem(RECENT_KEY, JSON.stringify(all));
+    } catch (_) {}
+  }
 
-    return snippet;
+  // La query entra tra le recenti quando l'utente apre un risultato (non ad ogni tasto)
+  function rememberSearch(q) {
+    q = (q || '').trim();
+    if (!q) return;
+    saveRecentSearches([q].concat(loadRecentSearches().filter(x => x !== q)));
   }
 
-  function renderResults(items, q) {
-    if (!items.length) {
-      clearResults('<div class="search-empty">Nessun risultato</div>');
-      return;
-    }
+  function renderRecentSearches() {
+    clearResults('');
+    const list = loadRecentSearches();
+    if (!list.length) return;
+
+    const group = document.createElement('div');
+    group.className = 'search-group search-recent';
+    group.setAttribute('role', 'group');
+
+    const head = document.createElement('div');
+    head.className = 'search-recent-head';
+    head.id = 'search-recent-label';
+    head.textContent = msg('recent');
+    group.setAttribute('aria-labelledby', head.id);
+
+    const clear = document.createElement('button');
+    clear.type = 'button';
+    clear.className = 'search-recent-clear';
+    clear.textContent = msg('clearRecent');
+    clear.addEventListener('click', () => {
+      saveRecentSearches([]);
+      clearResults('');
+      input.focus();
+    });
+    head.appendChild(clear);
+    group.appendChild(head);
+
+    list.forEach((q) => {
+      const a = makeOption(document.createElement('a'));
+      a.href = '#';
+      a.className = 'search-result search-recent-item';
+      a.textContent = q;
+      a.addEventListener('click', (ev) => {
+        ev.preventDefault();
+        input.value = q;
+        input.focus();
+        doSearch(q);
+      });
+      group.appendChild(a);
+    });
+
+    results.appendChild(group);
+  }
 
-    results.innerHTML = '';
+  // "Forse cercavi: elasticità?" -> il click rilancia la ricerca con la query corretta
+  function renderSuggestion(suggestion) {
+    const box = document.createElement('div');
+    box.className = 'search-suggest';
+    box.appendChild(document.createTextNode(msg('didYouMean') + ' '));
+
+    const a = document.createElement('a');
+    a.href = '#';
+    a.textContent = suggestion;
+    a.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      input.value = suggestion;
+      input.focus();
+      doSearch(suggestion);
+    });
 
-    items.forEach(item => {
-      const a = document.createElement('a');
-      a.href = toAbsoluteBookUrl(item.url);
+    box.appendChild(a);
+    box.appendChild(document.createTextNode('?'));
+    results.insertBefore(box, results.firstChild);
+  }
+
+  // -------- ricerca anche nell'altra lingua --------
+
+  const XLANG_KEY = 'search_xlang';
+  const xlangToggle = document.getElementById('search-xlang');
+
+  function isCrossLang() {
+    return !!(xlangToggle && xlangToggle.checked);
+  }
+
+  // Etichetta slider -> LaTeX inline, tranne quando è già $...$ o è una parola normale
+  function sliderLabelTex(label) {
+    if (/^\$/.test(label) || /^\p{L}{2,}(\s+\p{L}+)*$/u.test(label)) return label;
+    return '$' + label + '$';
+  }
+
+  // Gruppo "Parte › Capitolo" di un risultato (l'ordine è già quello del libro)
+  function resultGroup(item) {
+    const u = (stripBaseFromUrl(item.url || '') || '').replace(/\/{2,}/g, '/');
+    const m = u.match(/^\/(it|en)\/([^\/]+)\/(\d+)\//);
+    if (!m) return { key: u, label: String(item.title || u).trim() };
+
+    const part = (bookOutlines[m[1]] || {})[m[2]] || {};
+    const chap = (part.chapters || {})[m[3]] || '';
+    return {
+      key: m[2] + '/' + m[3],
+      label: m[2] + (part.title ? '. ' + part.title : '') + ' › ' + m[3] + (chap ? '. ' + chap : '')
+    };
+  }
+
+  // Intestazione cliccabile (apri/chiudi) con il numero di risultati del gruppo
+  function renderGroup(g) {
+    const el = document.createElement('div');
+    el.className = 'search-group';
+    el.setAttribute('role', 'group');
+
+    const head = document.createElement('button');
+    head.type = 'button';
+    head.className = 'search-group-head';
+    head.id = 'search-group-' + (++optionSeq);
+    head.setAttribute('aria-expanded', 'true');
+    el.setAttribute('aria-labelledby', head.id);
+
+    const label = document.createElement('span');
+    label.className = 'search-group-label';
+    label.textContent = g.label;
+
+    const count = document.createElement('span');
+    count.className = 'search-group-count';
+
+    head.appendChild(label);
+    head.appendChild(count);
+
+    const list = document.createElement('div');
+    list.className = 'search-group-list';
+
+    head.addEventListener('click', () => {
+      const collapsed = el.classList.toggle('is-collapsed');
+      head.setAttribute('aria-expanded', collapsed ? 'false' : 'true');
+      if (collapsed && list.querySelector('.is-active')) setActiveOption(null);
+      input.focus();
+    });
+
+    el.appendChild(head);
+    el.appendChild(list);
+
+    let n = 0;
+    return {
+      key: g.key,
+      el,
+      list,
+      add() { count.textContent = String(++n); }
+    };
+  }
+
+  // -------- risultati a blocchi (dal worker) --------
+
+  // Ricerca in corso: i blocchi con un altro id (ricerche superate) si ignorano.
+  // I risultati precedenti restano a video finché non arriva il primo blocco della nuova ricerca.
+  let stream = null;   // { id, q, started, group }
+
+  function startStream() {
+    if (stream.started) return;
+    stream.started = true;
+    clearResults('');
+  }
+
+  // rows: [{ doc, hits: [{ lang, snippet, terms, math }] }], già in ordine di libro
+  function appendResults(rows) {
+    startStream();
+
+    const q = stream.q;
+    const lang = inferLang();
+    const snippets = [];
+
+    rows.forEach(hit => {
+      const item = hit.doc;
+      const g = resultGroup(item);
+      if (!stream.group || stream.group.key !== g.key) {
+        stream.group = renderGroup(g);
+        results.appendChild(stream.group.el);
+      }
+      stream.group.add();
+
+      const a = makeOption(document.createElement('a'));
+      a.href = toAbsoluteBookUrl(item.url) + (item.anchor ? '#' + item.anchor : '');
       a.className = 'search-result';
 
       const titleEl = document.createElement('div');
       titleEl.className = 'search-title';
 
+      if (item.type === 'graph') {
+        const badge = document.createElement('span');
+        badge.className = 'search-badge';
+        // numero della figura come nella didascalia (figure-number.html, in search.json)
+        badge.textContent = item.number ? msg('figure').replace('{x}', item.number) : msg('graph');
+        titleEl.appendChild(badge);
+      }
+
       const strong = document.createElement('strong');
       strong.textContent = (item.title && String(item.title).trim())
         ? String(item.title).trim()
@@ -410,181 +574,288 @@
 
       titleEl.appendChild(strong);
 
-      const snippet = makeSnippet(item.content || '', q, 240);
-      const snippetEl = document.createElement('div');
-      snippetEl.className = 'search-snippet';
-      snippetEl.dataset.rawSnippet = snippet;
-      snippetEl.innerHTML = renderLatexInHtml(snippet);
+      // "Sezione › Sottosezione"
+      if (item.subtitle) {
+        const sub = document.createElement('span');
+        sub.className = 'search-subtitle';
+        sub.textContent = ' › ' + String(item.subtitle).trim();
+        titleEl.appendChild(sub);
+      }
 
       a.appendChild(titleEl);
-      a.appendChild(snippetEl);
 
-      a.addEventListener('click', (ev) => {
-        ev.preventDefault();
-        const targetUrl = toAbsoluteBookUrl(item.url);
-
-        const frame = document.getElementById('toc-split-frame');
-        if (frame) {
-          frame.setAttribute('src', targetUrl);
-          try {
-            const u = new URL(window.location.href);
-            u.searchParams.set('load', stripBaseFromUrl(item.url));
-            window.history.pushState({}, '', u.toString());
-          } catch {}
-        } else {
-          window.location.href = targetUrl;
+      // uno snippet per edizione; quello dell'altra lingua porta l'etichetta "EN"/"IT"
+      hit.hits.forEach((h) => {
+        const snippetEl = document.createElement('div');
+        snippetEl.className = 'search-snippet';
+        snippetEl.dataset.rawSnippet = h.snippet;
+        snippetEl.innerHTML = renderLatexInHtml(h.snippet);
+        snippets.push(snippetEl);
+
+        if (h.lang !== lang) {
+          const tag = document.createElement('span');
+          tag.className = 'search-lang';
+          tag.textContent = h.lang.toUpperCase();
+          tag.title = msg(h.lang === 'en' ? 'fromEn' : 'fromIt');
+          a.appendChild(tag);
+          snippetEl.classList.add('search-snippet-xlang');
+          snippetEl.lang = h.lang;
         }
+        a.appendChild(snippetEl);
+      });
+
+      // "Cursori: M, P_X, P_Y" -> per ritrovare "il grafico con lo slider per P_X"
+      if (item.type === 'graph' && item.sliders && item.sliders.length) {
+        const slidersEl = document.createElement('div');
+        slidersEl.className = 'search-snippet search-sliders';
+        const raw = msg('sliders') + ' ' + item.sliders.map(sliderLabelTex).join(', ');
+        slidersEl.dataset.rawSnippet = raw;
+        slidersEl.innerHTML = renderLatexInHtml(raw);
+        snippets.push(slidersEl);
+        a.appendChild(slidersEl);
+      }
 
+      a.addEventListener('click', (ev) => {
+        ev.preventDefault();
+        rememberSearch(input.value);
+        openHit(item, {
+          query: q,
+          // stem della lingua della pagina (gli altri li ricalcola la pagina dalla query)
+          terms: Array.from(new Set([].concat(...hit.hits.filter(h => h.lang === lang).map(h => h.terms || [])))),
+          math: hit.hits[0].math || []
+        });
         setOverlayOpen(false);
       });
 
-      results.appendChild(a);
+      stream.group.list.appendChild(a);
     });
 
+    // KaTeX non ancora caricato: gli snippet di questo blocco si ridisegnano appena arriva
+    if (pickKatex()) return;
     ensureKatexLoaded().then((k) => {
       if (!k) return;
-      document.querySelectorAll('#search-results .search-snippet').forEach((el) => {
-        const raw = el.dataset.rawSnippet || el.textContent || '';
-        el.innerHTML = renderLatexInHtml(raw);
+      snippets.forEach((el) => {
+        el.innerHTML = renderLatexInHtml(el.dataset.rawSnippet || el.textContent || '');
       });
     }).catch(() => {});
   }
 
-  function isBigTocResult(url) {
-    // url nel search index è tipicamente tipo "/it/..." (senza baseurl).
-    // In ogni caso, normalizziamo togliendo l’eventuale base e i doppioni di slash.
-    const u = (stripBaseFromUrl(url || '') || '').replace(/\/{2,}/g, '/');
-
-    // Escludi home lingua + varianti comuni della big TOC
-    // (/it/, /it, /it/index.html, /it/toc-big.html, ecc.)
-    return (
-      /^\/(it|en)\/?$/.test(u) ||
-      /^\/(it|en)\/index(?:\.html)?$/.test(u) ||
-      /^\/(it|en)\/toc-big(?:\.html)?$/.test(u) ||
-      /^\/(it|en)\/toc_big(?:\.html)?$/.test(u)
-    );
-  }
-
-  function romanToInt(r) {
-    const s = (r || "").toUpperCase();
-    const map = { I: 1, V: 5, X: 10, L: 50, C: 100, D: 500, M: 1000 };
-    let total = 0, prev = 0;
-    for (let i = s.length - 1; i >= 0; i--) {
-      const v = map[s[i]] || 0;
-      if (v < prev) total -= v;
-      else { total += v; prev = v; }
-    }
-    return total || 0;
-  }
-
-  // Ritorna la “posizione nel libro” come tuple:
-  // [partIndex, chapterNumber, sectionNumberOr0, isSectionFlag]
-  // così possiamo ordinare stabilmente.
-  function bookOrderKey(url) {
-    const u = (stripBaseFromUrl(url || "") || "").replace(/\/{2,}/g, "/");
+  // Voci dell'indice analitico che corrispondono alla query: arrivano prima dei risultati
+  function renderTerms(terms) {
+    startStream();
 
-    // Prefazione prima di tutto
-    if (u === "/it/pr.html" || u === "/en/pr.html") return [0, 0, 0, 0];
-
-    // atteso: /it/I/5/3.html  oppure /it/I/5/index.html
-    const m = u.match(/^\/(it|en)\/([^\/]+)\/(\d+)\/([^\/]+)$/);
-    if (!m) return [999, 999, 999, 9]; // fuori schema: in fondo
+    const lang = inferLang();
+    const box = document.createElement('div');
+    box.className = 'search-terms';
+
+    const label = document.createElement('span');
+    label.className = 'search-terms-label';
+    label.textContent = msg('indexTerms');
+    box.appendChild(label);
+
+    terms.forEach((t) => {
+      const item = { url: `/${lang}/analytic-index.html`, anchor: t.slug };
+      const a = makeOption(document.createElement('a'));
+      a.href = toAbsoluteBookUrl(item.url) + '#' + item.anchor;
+      a.className = 'search-term';
+      a.textContent = t.term;
+      a.addEventListener('click', (ev) => {
+        ev.preventDefault();
+        rememberSearch(input.value);
+        openHit(item, null);
+        setOverlayOpen(false);
+      });
+      box.appendChild(a);
+    });
 
-    const partFolder = m[2];                 // "I", "II", ...
-    const chap = parseInt(m[3], 10) || 999;  // "5" -> 5
-    const last = m[4];                       // "3.html" o "index.html"
+    results.appendChild(box);
+  }
 
-    const partIdx = romanToInt(partFolder);
+  // suggestion: query corretta da proporre ("Forse cercavi"), oppure null
+  function endResults(total, suggestion) {
+    startStream();
+    if (!total) {
+      // le eventuali voci dell'indice analitico restano sopra il messaggio
+      results.insertAdjacentHTML('beforeend',
+        `<div class="search-error"><div class="search-empty">${escapeHtml(msg('noResults'))}</div></div>`);
+    }
+    if (suggestion) renderSuggestion(suggestion);
+  }
 
-    if (last === "index.html") {
-      // pagina indice capitolo: mettila prima delle sezioni del capitolo
-      return [partIdx, chap, 0, 0];
+  // -------- apertura risultato (con anchor di sottosezione) --------
+
+  const FLASH_STYLE_ID = 'search-flash-style';
+  const FLASH_CSS =
+    '@keyframes search-flash { from { background-color: rgba(255, 221, 87, 0.85); } to { background-color: transparent; } }' +
+    '.search-flash { animation: search-flash 2.2s ease-out 1; border-radius: 3px; }';
+
+  // Scrolla la pagina aperta (iframe o lettore SPA: BookNav.content()) fino all'anchor
+  // e lo fa "lampeggiare".
+  // KaTeX e i grafici kg cambiano l'altezza della pagina dopo il load: ripetiamo lo scroll
+  // una volta, a meno che nel frattempo l'utente non abbia già scrollato.
+  function revealAnchorInFrame(shown, anchor) {
+    const doc = shown.doc;
+    if (!doc || !doc.body) return;
+
+    // gli id delle due edizioni possono differire per le maiuscole (risultati dall'altra lingua)
+    const target = doc.getElementById(anchor) ||
+      Array.from(shown.root.querySelectorAll('[id]')).find(el => el.id.toLowerCase() === anchor.toLowerCase());
+    if (!target) return;
+
+    if (!doc.getElementById(FLASH_STYLE_ID)) {
+      const st = doc.createElement('style');
+      st.id = FLASH_STYLE_ID;
+      st.textContent = FLASH_CSS;
+      doc.head.appendChild(st);
     }
 
-    const secMatch = last.match(/^(\d+)\.html$/);
-    const sec = secMatch ? (parseInt(secMatch[1], 10) || 999) : 999;
+    const win = shown.win;
+    target.scrollIntoView({ block: 'start' });
+    const y0 = win.scrollY;
+
+    target.classList.remove('search-flash');
+    void target.offsetWidth; // riavvia l'animazione se l'anchor era già evidenziato
+    target.classList.add('search-flash');
 
-    return [partIdx, chap, sec, 1];
+    window.setTimeout(() => {
+      if (Math.abs(win.scrollY - y0) < 2) target.scrollIntoView({ block: 'start' });
+    }, 700);
   }
 
-  function cmpKeys(a, b) {
-    for (let i = 0; i < Math.max(a.length, b.length); i++) {
-      const da = a[i] ?? 0;
-      const db = b[i] ?? 0;
-      if (da !== db) return da - db;
-    }
-    return 0;
+  // Evidenziazione delle occorrenze nella pagina aperta (static/js/search-highlight.js:
+  // nell'iframe, oppure in questa finestra per il lettore SPA)
+  function highlightInFrame(shown, highlight, anchor) {
+    if (!highlight) return;
+    try {
+      shown.win.postMessage(Object.assign({ type: 'search-highlight', anchor }, highlight), window.location.origin);
+    } catch (_) {}
   }
 
-  function doSearch(raw) {
-    const qRaw = (raw || '').trim();
-    if (!qRaw) {
-      clearResults('');
+  // highlight: { query, terms, math } da passare alla pagina, oppure null
+  function openHit(item, highlight) {
+    const anchor = item.anchor || '';
+    const targetUrl = toAbsoluteBookUrl(item.url) + (anchor ? '#' + anchor : '');
+
+    const frame = document.getElementById('toc-split-frame');
+    if (!frame || !window.BookNav) {
+      window.location.href = targetUrl;
       return;
     }
 
-    const qTrim = qRaw.trim();
-
-    const quoted = (qTrim.startsWith('"') && qTrim.endsWith('"') && qTrim.length >= 2);
-    const phraseRaw = quoted ? qTrim.slice(1, -1) : qTrim;
+    // navigation.js carica la pagina e scrive ?load=/en/I/2/3#subsec_VDB; la promessa si risolve
+    // subito se la pagina è già aperta (cambia solo l'anchor), altrimenti al load dell'iframe
+    window.BookNav.navigate(item.url, { anchor }).then(() => {
+      const shown = window.BookNav.content();
+      if (!shown) return;
+      if (anchor) revealAnchorInFrame(shown, anchor);
+      highlightInFrame(shown, highlight, anchor);
+    });
+  }
 
-    const wantsPhrase = quoted || /\s/.test(phraseRaw);
+  // -------- worker (indice + punteggi fuori dal thread principale) --------
 
-    const phraseNorm = normalize(phraseRaw);
-    const tokens = normalize(qRaw).split(' ').filter(Boolean);
+  let worker = null;
+  let searchSeq = 0;   // id dell'ultima ricerca inviata
 
-    ensureIndexLoaded().then(data => {
-      const scored = [];
+  // data-build sul tag <script> di search.js (site.time): versiona la cache dell'indice
+  function getBuildVersion() {
+    const me = Array.from(document.scripts || []).find(s => /\/static\/js\/search\.js(\?|$)/.test(s.src || ''));
+    return (me && me.dataset.build) || '';
+  }
 
-      for (const item of data) {
-        if (isBigTocResult(item.url)) continue;
-        const hay = normalize(stripLiquidAndNoise((item.content || '') + ' ' + (item.title || '')));
+  function onWorkerMessage(ev) {
+    const data = ev.data || {};
 
-        let s = -1;
+    if (data.type === 'ready') {
+      bookOutlines[data.lang] = data.outline || {};
+      return;
+    }
+    if (data.type === 'graphs') {
+      // i grafici sono entrati nell'indice: rilancia la ricerca aperta
+      if (isOverlayOpen() && input.value.trim()) doSearch(input.value);
+      return;
+    }
+    if (data.type === 'failed') {
+      if (data.lang === inferLang()) clearResults(escapeHtml(`Error: ${data.message}`));
+      return;
+    }
 
-        if (wantsPhrase) {
-          if (!phraseNorm) continue;
-          const idx = hay.indexOf(phraseNorm);
-          if (idx === -1) continue;
-          s = (5000 - idx) + occCount(hay, phraseNorm) * 300;
-        } else {
-          s = scoreMatchAND(hay, tokens);
-          if (s < 0) continue;
-        }
+    if (!stream || data.id !== stream.id) return;   // ricerca superata
+    if (data.type === 'syntax') renderSyntaxHint(data.error);
+    else if (data.type === 'terms') renderTerms(data.terms);
+    else if (data.type === 'chunk') appendResults(data.rows);
+    else if (data.type === 'done') endResults(data.total, data.suggestion);
+    else if (data.type === 'error') clearResults(escapeHtml(`Error: ${data.message}`));
+  }
 
-        scored.push({ s, item });
-      }
+  function getWorker() {
+    if (worker) return worker;
+    const build = getBuildVersion();
+    const url = joinPath(getBasePath(), 'static/js/search-worker.js') + (build ? '?v=' + encodeURIComponent(build) : '');
+    try {
+      worker = new Worker(url);
+    } catch (err) {
+      clearResults(escapeHtml(`Error: ${err.message}`));
+      return null;
+    }
+    worker.addEventListener('message', onWorkerMessage);
+    return worker;
+  }
 
-      scored.sort((a, b) => {
-        const ka = bookOrderKey(a.item.url);
-        const kb = bookOrderKey(b.item.url);
+  // Avvia il download e la costruzione dell'indice (nel worker), senza cercare
+  function ensureIndexLoaded(wantLang) {
+    const w = getWorker();
+    if (w) w.postMessage({ type: 'load', lang: wantLang || inferLang() });
+  }
 
-        // 1) Ordine del libro per (Parte, Capitolo)
-        const byPart = ka[0] - kb[0];
-        if (byPart !== 0) return byPart;
+  function cancelSearch() {
+    stream = null;
+    if (worker) worker.postMessage({ type: 'cancel' });
+  }
 
-        const byChap = ka[1] - kb[1];
-        if (byChap !== 0) return byChap;
+  function doSearch(raw) {
+    const qRaw = raw || '';
+    if (!qRaw.trim()) {
+      cancelSearch();
+      renderRecentSearches();
+      return;
+    }
 
-        // 2) Dentro lo stesso capitolo: prima la rilevanza
-        const byScore = b.s - a.s;
-        if (byScore !== 0) return byScore;
+    const w = getWorker();
+    if (!w) return;
 
-        // 3) A parità di score: ordine di sezione
-        return cmpKeys(ka, kb);
-      });
-      const top = scored.slice(0, 80).map(x => x.item);
-      renderResults(top, qRaw);
-    }).catch(() => {});
+    // il worker interrompe la ricerca precedente al prossimo capitolo
+    stream = { id: ++searchSeq, q: qRaw.trim(), started: false, group: null };
+    w.postMessage({ type: 'search', id: stream.id, query: qRaw, lang: inferLang(), xlang: isCrossLang() });
   }
 
   // -------- events --------
 
-  searchBtn.addEventListener('click', () => {
+  function openSearch() {
     setOverlayOpen(true);
-    clearResults('');
-    ensureIndexLoaded().catch(() => {});
+    if (input.value.trim()) doSearch(input.value);
+    else renderRecentSearches();
+    ensureIndexLoaded();
+    if (isCrossLang()) ensureIndexLoaded(otherLang(inferLang()));
     ensureKatexLoaded().catch(() => {});
+  }
+
+  if (xlangToggle) {
+    try { xlangToggle.checked = localStorage.getItem(XLANG_KEY) === '1'; } catch (_) {}
+
+    xlangToggle.addEventListener('change', () => {
+      try { localStorage.setItem(XLANG_KEY, xlangToggle.checked ? '1' : '0'); } catch (_) {}
+      if (input.value.trim()) doSearch(input.value);
+      input.focus();
+    });
+  }
+
+  searchBtn.addEventListener('click', openSearch);
+  searchBtn.addEventListener('keydown', (ev) => {
+    if (ev.key === 'Enter' || ev.key === ' ') {
+      ev.preventDefault();
+      openSearch();
+    }
   });
 
   closeBtn.addEventListener('click', () => setOverlayOpen(false));
@@ -593,9 +864,56 @@
     if (ev.target === overlay) setOverlayOpen(false);
   });
 
-  document.addEventListener('keydown', (ev) => {
-    if (ev.key === 'Escape' && overlay.style.display !== 'none') {
+  function isEditableTarget(el) {
+    if (!el) return false;
+    const tag = (el.tagName || '').toLowerCase();
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || !!el.isContentEditable;
+  }
+
+  // "/" (fuori dai campi di testo) oppure Ctrl+K / Cmd+K
+  function onGlobalKeydown(ev) {
+    if (ev.key === 'Escape' && isOverlayOpen()) {
       setOverlayOpen(false);
+      return;
+    }
+
+    const ctrlK = (ev.ctrlKey || ev.metaKey) && !ev.altKey && (ev.key === 'k' || ev.key === 'K');
+    const slash = ev.key === '/' && !ev.ctrlKey && !ev.metaKey && !ev.altKey && !isEditableTarget(ev.target);
+    if (!ctrlK && !slash) return;
+    if (slash && isOverlayOpen()) return;
+
+    ev.preventDefault();
+    if (isOverlayOpen()) input.focus();
+    else openSearch();
+  }
+
+  document.addEventListener('keydown', onGlobalKeydown);
+
+  // Le scorciatoie valgono anche quando il focus è dentro l'iframe del contenuto (stessa origine)
+  const contentFrame = document.getElementById('toc-split-frame');
+  function hookFrameKeys() {
+    try {
+      const doc = contentFrame.contentDocument;
+      if (!doc || doc.__searchKeysBound) return;
+      doc.__searchKeysBound = true;
+      doc.addEventListener('keydown', onGlobalKeydown);
+    } catch (_) {}
+  }
+  if (contentFrame) {
+    contentFrame.addEventListener('load', hookFrameKeys);
+    hookFrameKeys();
+  }
+
+  input.addEventListener('keydown', (ev) => {
+    if (ev.key === 'ArrowDown' || ev.key === 'ArrowUp') {
+      ev.preventDefault();
+      moveActiveOption(ev.key === 'ArrowDown' ? 1 : -1);
+    } else if (ev.key === 'Enter') {
+      const active = results.querySelector('[role="option"].is-active') || visibleOptions()[0];
+      if (active) {
+        ev.preventDefault();
+        active.click();
+      }
     }
   });
 
@@ -0,0 +1,160 @@
+/*
+  Keyboard shortcuts for the textbook reader (toc_split).
+  - j / → next section, k / ← previous section, in book order across chapters
+    (#book-order, from _data/toc.yml via _includes/book-order.html)
+  - t sidebar, p print, h big table of contents, l other language, ? this help
+  - "/" and Ctrl+K (search) are handled by static/js/search.js; they are only listed here
+  - Work in the parent and when the focus is inside the iframe (same origin)
+  - Ignored while typing in a field, with Ctrl/Cmd/Alt, or when a dialog is open
+  The toolbar buttons do the work (click()), pages are loaded by static/js/navigation.js.
+*/
+
+(function () {
+  'use strict';
+
+  if (window.self !== window.top) return;
+
+  const nav = window.BookNav;
+  const frame = document.getElementById('toc-split-frame');
+  if (!nav || !frame) return;
+
+  const help = document.getElementById('shortcuts-help');
+  const helpClose = document.getElementById('shortcuts-help-close');
+
+  let order = [];
+  try {
+    const el = document.getElementById('book-order');
+    order = el ? JSON.parse(el.textContent).map(s => s.path) : [];
+  } catch (_) {}
+
+  // -------- azioni --------
+
+  function click(id) {
+    const el = document.getElementById(id);
+    if (!el) return false;
+    el.click();
+    return true;
+  }
+
+  function step(delta) {
+    const cur = nav.current();
+    if (!cur || !order.length) return false;
+
+    const i = order.indexOf(cur.path);
+    let next;
+    if (i === -1) {
+      // indice grande, indice analitico: j parte dall'inizio del libro
+      if (delta < 0) return false;
+      next = order[0];
+    } else {
+      next = order[i + delta];
+    }
+    if (!next) return false;
+
+    nav.navigate(next, { anchor: '' });
+    return true;
+  }
+
+  // stessa pagina nell'altra lingua (navigation.js ricarica il parent tradotto, allo stesso punto)
+  function switchLanguage() {
+    const cur = nav.current();
+    if (!cur) return false;
+    const other = nav.lang === 'en' ? 'it' : 'en';
+    nav.navigate(cur.path.replace(/^\/(it|en)\//, `/${other}/`), { anchor: '', query: cur.query });
+    return true;
+  }
+
+  function isHelpOpen() {
+    return !!help && !help.hidden;
+  }
+
+  let helpReturn = null;
+
+  function setHelpOpen(open) {
+    if (!help) return false;
+    if (open) {
+      helpReturn = document.activeElement;
+      help.hidden = false;
+      if (helpClose) helpClose.focus();
+    } else {
+      help.hidden = true;
+      if (helpReturn && helpReturn.focus) {
+        try { helpReturn.focus(); } catch (_) {}
+      }
+      helpReturn = null;
+    }
+    return true;
+  }
+
+  const ACTIONS = {
+    j: () => step(1),
+    ArrowRight: () => step(1),
+    k: () => step(-1),
+    ArrowLeft: () => step(-1),
+    t: () => click('toc-sidebar-toggle'),
+    p: () => click('content-print'),
+    h: () => click('go-big-toc'),
+    l: switchLanguage,
+    '?': () => setHelpOpen(!isHelpOpen())
+  };
+
+  // -------- tastiera --------
+
+  function isEditableTarget(el) {
+    if (!el) return false;
+    const tag = (el.tagName || '').toLowerCase();
+    return tag === 'input' || tag === 'textarea' || tag === 'select' || !!el.isContentEditable;
+  }
+
+  // ricerca, pannelli offline / note, barra delle evidenziazioni: i tasti sono loro
+  function otherDialogOpen() {
+    const overlay = document.getElementById('search-overlay');
+    if (overlay && overlay.getAttribute('aria-hidden') === 'false') return true;
+    if (Array.from(document.querySelectorAll('.offline-panel, .notes-panel')).some(p => !p.hidden)) return true;
+    try {
+      const c = nav.content();
+      if (c && Array.from(c.root.querySelectorAll('.annotation-editor')).some(p => !p.hidden)) return true;
+    } catch (_) {}
+    return false;
+  }
+
+  function onKeydown(ev) {
+    if (ev.defaultPrevented || ev.ctrlKey || ev.metaKey || ev.altKey) return;
+
+    if (ev.key === 'Escape' && isHelpOpen()) {
+      ev.preventDefault();
+      setHelpOpen(false);
+      return;
+    }
+
+    const action = ACTIONS[ev.key];
+    if (!action || isEditableTarget(ev.target)) return;
+    // le frecce dentro un elemento che le usa (es. i grafici kg, i controlli) restano sue
+    if (/^Arrow/.test(ev.key) && ev.target && ev.target.closest && ev.target.closest('.kg-container, [role="slider"], [role="listbox"], [role="tree"]')) return;
+    if (ev.key !== '?' && (isHelpOpen() || otherDialogOpen())) return;
+
+    if (action()) ev.preventDefault();
+  }
+
+  document.addEventListener('keydown', onKeydown);
+
+  // nel lettore SPA la pagina è il documento stesso: già coperto sopra
+  window.addEventListener('book-loaded', () => {
+    try {
+      const c = nav.content();
+      const doc = c && c.doc;
+      if (!doc || doc === document || doc.__shortcutsBound) return;
+      doc.__shortcutsBound = true;
+      doc.addEventListener('keydown', onKeydown);
+    } catch (_) {}
+  });
+
+  // -------- aiuto --------
+
+  if (help) {
+    if (helpClose) helpClose.addEventListener('click', () => setHelpOpen(false));
+    help.addEventListener('click', (ev) => {
+      if (ev.target === help) setHelpOpen(false);
+    });
+  }
+})();
@@ -0,0 +1,279 @@
+// static/js/theme.js
+// Tema chiaro / scuro di tutto il sito (parent dello split, pagine nell'iframe, grafici kg).
+// - Scelta salvata in localStorage "reader_theme" ('light' | 'dark'); senza scelta segue il sistema
+// - Si carica nell'<head> (_includes/stylesheets.html): la classe html.theme-dark c'è dal primo paint
+// - Il bottone è nella barra del toc_split (#content-theme); il parent passa il tema all'iframe,
+//   le altre schede lo ricevono con l'evento storage
+// - Grafici kg: KG.View riceve il clearColor scuro (anche sfondo delle etichette) e i colori per
+//   nome delle figure (Blue, Red, Black…) più chiari; la palette di EconSchema (d3.schemeCategory10)
+//   si sostituisce sul posto. Al cambio di tema i grafici si ridisegnano, con i parametri correnti
+// - In stampa si torna al tema chiaro (beforeprint / afterprint)
+//
+// API: window.BookTheme = {
+//   current() -> 'light' | 'dark', set(theme) (salvato), toggle(), apply(theme) (solo mostrato)
+// }
+
+(function () {
+  'use strict';
+
+  const KEY = 'reader_theme';
+  const DARK_CLASS = 'theme-dark';
+
+  // stesso sfondo di html.theme-dark in textbook.css
+  const DARK_BG = '#1d1f21';
+
+  // d3.schemeCategory10, nello stesso ordine (blue, orange, green, red, purple, brown, magenta,
+  // grey, olive, cyan)
+  const DARK_PALETTE = [
+    '#74a9e0', '#ffa94d', '#69c97a', '#ff7b72', '#b59cf5',
+    '#c9a27c', '#f38fbf', '#b0b4b8', '#c8cf5f', '#66d3e0'
+  ];
+
+  // colori scritti per nome nei .yml dei grafici: nomi CSS più leggibili sul fondo scuro
+  // (restano nomi: kg li valuta come stringhe, un "#..." sarebbe un commento per mathjs)
+  const DARK_NAMES = {
+    black: 'Gainsboro',
+    blue: 'CornflowerBlue',
+    red: 'Tomato',
+    green: 'MediumSeaGreen',
+    darkgreen: 'SeaGreen',
+    forestgreen: 'LimeGreen',
+    brown: 'Peru',
+    purple: 'Orchid',
+    darkorange: 'Orange',
+    gray: 'DarkGray',
+    grey: 'DarkGray',
+    darkgray: 'Gray',
+    darkgrey: 'Gray',
+    lightgray: 'DimGray',
+    lightgrey: 'DimGray'
+  };
+
+  const COLOR_KEYS = ['color', 'stroke', 'fill', 'fillAbove', 'fillBelow'];
+
+  const LABELS = {
+    it: { dark: 'Tema scuro', light: 'Tema chiaro' },
+    en: { dark: 'Dark theme', light: 'Light theme' }
+  };
+
+  const LANG = /\/en\//.test(window.location.pathname) ? 'en' : 'it';
+  const inFrame = window.self !== window.top;
+
+  let chosen = read();
+  let shown = null;
+
+  function systemTheme() {
+    try {
+      return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    } catch (_) {
+      return 'light';
+    }
+  }
+
+  function read() {
+    let v = null;
+    try { v = localStorage.getItem(KEY); } catch (_) {}
+    return v === 'dark' || v === 'light' ? v : systemTheme();
+  }
+
+  // -------- grafici kg --------
+
+  const graphs = new WeakMap();   // div -> { data (copia del .yml), clearColor (attributo originale) }
+  let lightPalette = null;
+
+  function copy(data) {
+    return JSON.parse(JSON.stringify(data));
+  }
+
+  function darken(node) {
+    if (Array.isArray(node)) {
+      node.forEach(darken);
+    } else if (node && typeof node === 'object') {
+      Object.keys(node).forEach((k) => {
+        const v = node[k];
+        if (typeof v === 'string' && COLOR_KEYS.indexOf(k) >= 0 && DARK_NAMES[v.toLowerCase()]) {
+          node[k] = DARK_NAMES[v.toLowerCase()];
+        } else {
+          darken(v);
+        }
+      });
+    }
+    return node;
+  }
+
+  // i colori di EconSchema sono 'd3.schemeCategory10[i]', rivalutati a ogni update del modello
+  function setPalette(dark) {
+    const scheme = window.d3 && window.d3.schemeCategory10;
+    if (!scheme) return;
+    if (!lightPalette) lightPalette = scheme.slice();
+    (dark ? DARK_PALETTE : lightPalette).forEach((c, i) => { scheme[i] = c; });
+  }
+
+  function themedData(div, data) {
+    const g = graphs.get(div);
+    const dark = shown === 'dark';
+
+    // kg legge clearColor dall'attributo del div prima che dal .yml
+    if (dark) div.setAttribute('clearColor', DARK_BG);
+    else if (g.clearColor === null) div.removeAttribute('clearColor');
+    else div.setAttribute('clearColor', g.clearColor);
+
+    const d = copy(data);
+    if (dark) {
+      d.clearColor = DARK_BG;
+      darken(d);
+    }
+    return d;
+  }
+
+  function patchKg() {
+    const KG = window.KG;
+    if (!KG || !KG.View || KG.View.themed) return;
+
+    const View = KG.View;
+    function ThemedView(div, data) {
+      const g = graphs.get(div);
+      graphs.set(div, {
+        data: copy(data),
+        clearColor: g ? g.clearColor : div.getAttribute('clearColor')
+      });
+      return new View(div, themedData(div, data));
+    }
+    ThemedView.prototype = View.prototype;
+    ThemedView.themed = true;
+    KG.View = ThemedView;
+
+    setPalette(shown === 'dark');
+  }
+
+  function viewDiv(view) {
+    try { return view.div.node(); } catch (_) { return null; }
+  }
+
+  // ridisegna i grafici della pagina (loadGraphs li ha messi in `views`) con i valori correnti
+  function redrawGraphs() {
+    if (!window.KG || !window.KG.View || !window.KG.View.themed) return;
+    setPalette(shown === 'dark');
+
+    const views = Array.isArray(window.views) ? window.views : [];
+    document.querySelectorAll('.kg-container').forEach((div) => {
+      const g = graphs.get(div);
+      if (!g) return;
+
+      const data = copy(g.data);
+      const i = views.findIndex(v => viewDiv(v) === div);
+      const values = i >= 0 && views[i].model ? views[i].model.currentParamValues : null;
+      if (values) {
+        (data.params || []).forEach((p) => {
+          if (!(p.name in values)) return;
+          p.value = values[p.name];
+          if (div.hasAttribute(p.name)) div.setAttribute(p.name, values[p.name]);
+        });
+      }
+
+      try {
+        const view = new window.KG.View(div, data);
+        if (i >= 0) views[i] = view;
+      } catch (_) {}
+    });
+  }
+
+  // -------- tema --------
+
+  function updateButton() {
+    const btn = document.getElementById('content-theme');
+    if (!btn) return;
+    const dark = chosen === 'dark';
+    const label = LABELS[LANG][dark ? 'light' : 'dark'];
+    btn.setAttribute('aria-pressed', dark ? 'true' : 'false');
+    btn.setAttribute('aria-label', label);
+    btn.setAttribute('title', label);
+  }
+
+  function pushToFrame(theme) {
+    if (inFrame) return;
+    const frame = document.getElementById('toc-split-frame');
+    try {
+      const t = frame && frame.contentWindow && frame.contentWindow.BookTheme;
+      if (t) t.apply(theme);
+    } catch (_) {}
+  }
+
+  // mostra il tema: classe, grafici, iframe
+  function show(theme) {
+    if (theme !== 'dark') theme = 'light';
+    if (theme === shown) return;
+    const first = shown === null;
+    shown = theme;
+
+    document.documentElement.classList.toggle(DARK_CLASS, theme === 'dark');
+    if (!first) redrawGraphs();
+    pushToFrame(theme);
+  }
+
+  function set(theme) {
+    chosen = theme === 'dark' ? 'dark' : 'light';
+    try { localStorage.setItem(KEY, chosen); } catch (_) {}
+    show(chosen);
+    updateButton();
+  }
+
+  // scelta arrivata da fuori (il parent per l'iframe): si mostra senza salvarla
+  function apply(theme) {
+    chosen = theme === 'dark' ? 'dark' : 'light';
+    show(chosen);
+    updateButton();
+  }
+
+  show(chosen);
+
+  // kg3d si carica dopo (in fondo alle pagine, o dal lettore SPA): KG.View si avvolge appena c'è
+  document.addEventListener('load', (ev) => {
+    if (ev.target && ev.target.tagName === 'SCRIPT') patchKg();
+  }, true);
+
+  document.addEventListener('DOMContentLoaded', () => {
+    patchKg();
+    updateButton();
+
+    const btn = document.getElementById('content-theme');
+    if (btn) {
+      btn.addEventListener('click', () => set(chosen === 'dark' ? 'light' : 'dark'));
+      btn.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          set(chosen === 'dark' ? 'light' : 'dark');
+        }
+      });
+    }
+
+    // pagina nuova nell'iframe (anche senza localStorage)
+    const frame = inFrame ? null : document.getElementById('toc-split-frame');
+    if (frame) frame.addEventListener('load', () => pushToFrame(chosen));
+  });
+
+  // altre schede, o l'iframe quando cambia il parent
+  window.addEventListener('storage', (ev) => {
+    if (ev.key !== KEY) return;
+    apply(read());
+  });
+
+  try {
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+      let saved = null;
+      try { saved = localStorage.getItem(KEY); } catch (_) {}
+      if (!saved) apply(systemTheme());
+    });
+  } catch (_) {}
+
+  // stampa sempre chiara
+  window.addEventListener('beforeprint', () => show('light'));
+  window.addEventListener('afterprint', () => show(chosen));
+
+  window.BookTheme = {
+    current: () => chosen,
+    set,
+    toggle: () => set(chosen === 'dark' ? 'light' : 'dark'),
+    apply
+  };
+})();
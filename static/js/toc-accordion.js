@@ -2,7 +2,13 @@
  *
  * TOC split:
  * - Chapter click toggles accordion (no navigation)
- * - Section click loads into right iframe (id="toc-split-frame")
+ * - Section click loads into right iframe (id="toc-split-frame") via BookNav (navigation.js)
+ * - The open section expands into its subsection outline (h2[id] of the iframe page,
+ *   or of the SPA reader: BookNav.content()), with scroll-spy; a click scrolls the page
+ *   and writes the anchor into ?load=
+ * - The TOC is an ARIA tree (chapters > sections > subsections): roving tabindex, arrow keys
+ *   to move / expand / collapse, type-ahead by chapter (or section) number; a polite live
+ *   region announces the section that has loaded
  * - Clicking EN/IT inside the iframe switches BOTH:
  *   - parent page (/it/index <-> /en/index)
  *   - iframe content (same section translated)
@@ -23,7 +29,7 @@
     document.querySelector('iframe.toc-split-frame') ||
     document.querySelector('iframe[data-toc-split]');
 
-  const isSplit = !!frame;
+  const isSplit = !!frame && !!window.BookNav;
 
   function isModifiedClick(ev) {
     return ev.metaKey || ev.ctrlKey || ev.shiftKey || ev.altKey || ev.button === 1;
@@ -44,16 +50,7 @@
     }
   }
 
-  // -----------------------------------------
-  // 0) If parent URL has ?load=..., load it into iframe
-  // -----------------------------------------
-  if (isSplit) {
-    try {
-      const params = new URLSearchParams(window.location.search);
-      const load = params.get('load');
-      if (load) frame.src = absUrl(load, window.location.href);
-    } catch (_) {}
-  }
+  // ?load=... del parent: lo carica navigation.js
 
   // -----------------------------------------
   // 1) Accordion: fetch chapter TOC and build sections list
@@ -125,15 +122,18 @@
         a.addEventListener('click', (ev) => {
           if (isModifiedClick(ev)) return;
           ev.preventDefault();
-          frame.src = absUrl(a.getAttribute('href'), window.location.href);
+          window.BookNav.navigate(a.getAttribute('href'));
         });
       }
 
       li.appendChild(num);
       li.appendChild(a);
       ul.appendChild(li);
+      treeItem(li, 2, num.textContent + ' ' + s.title);
     }
 
+    wrap.setAttribute('role', 'group');
+    ul.setAttribute('role', 'none');
     wrap.appendChild(ul);
     return wrap;
   }
@@ -153,8 +153,10 @@
       // If already open -> close
       const existing = chapterEl.nextElementSibling;
       if (existing && existing.classList && existing.classList.contains('chapter_sections')) {
+        if (existing.contains(document.activeElement)) chapterEl.focus();
         existing.remove();
         chapterEl.classList.remove('open');
+        setExpanded(chapterEl, null);
         return;
       }
 
@@ -177,6 +179,8 @@
 
       const list = makeSectionsList(chapterNum, sections);
       chapterEl.insertAdjacentElement('afterend', list);
+      setExpanded(chapterEl, list);
+      if (isSplit) showOutline();
     } finally {
       chapterEl.dataset.busy = '0';
     }
@@ -208,16 +212,348 @@
       prefaceLink.addEventListener('click', (ev) => {
         if (isModifiedClick(ev)) return;
         ev.preventDefault();
-        frame.src = absUrl(prefaceLink.getAttribute('href'), window.location.href);
+        window.BookNav.navigate(prefaceLink.getAttribute('href'));
       });
+    }
+  }
 
-      // Default initial page if iframe is empty
-      if (!frame.getAttribute('src')) {
-        frame.src = absUrl(prefaceLink.getAttribute('href'), window.location.href);
-      }
+  // -----------------------------------------
+  // 1b) Outline of the open section + scroll-spy
+  // -----------------------------------------
+  let outlinePath = '';     // sezione di cui si mostra l'outline
+  let spyTick = false;
+
+  function currentPath() {
+    const cur = window.BookNav.current();
+    return cur ? cur.path : '';
+  }
+
+  function sectionRowFor(path) {
+    return Array.from(document.querySelectorAll('.section_link')).find((li) => {
+      const a = li.querySelector('a[href]');
+      const loc = a ? window.BookNav.parse(a.getAttribute('href')) : null;
+      return !!loc && loc.path === path;
+    }) || null;
+  }
+
+  // titolo dell'h2 senza il doppione MathML di KaTeX
+  function headingText(h) {
+    const c = h.cloneNode(true);
+    c.querySelectorAll('.katex-mathml').forEach(el => el.remove());
+    return (c.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // pagina mostrata: nell'iframe o, in modalità SPA, nel lettore del parent
+  function content() {
+    try {
+      return window.BookNav.content();
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function frameHeadings() {
+    const c = content();
+    if (!c) return [];
+    try {
+      return Array.from(c.root.querySelectorAll('article h2[id]'));
+    } catch (_) {
+      return [];
     }
   }
 
+  function clearOutline() {
+    document.querySelectorAll('.section_outline').forEach((el) => {
+      const row = el.parentElement;
+      if (el.contains(document.activeElement)) row.focus();
+      el.remove();
+      row.removeAttribute('aria-expanded');
+    });
+    document.querySelectorAll('.section_link.is-current').forEach((li) => {
+      li.classList.remove('is-current');
+      const a = li.querySelector('a[href]');
+      if (a) a.removeAttribute('aria-current');
+    });
+    syncTabStop();
+  }
+
+  function showOutline() {
+    clearOutline();
+    const path = currentPath();
+    const row = sectionRowFor(path);
+    if (!row) return;
+
+    row.classList.add('is-current');
+    const rowLink = row.querySelector('a[href]');
+    if (rowLink) rowLink.setAttribute('aria-current', 'page');
+
+    const headings = frameHeadings();
+    if (!headings.length) return;
+
+    const ul = document.createElement('ul');
+    ul.className = 'section_outline';
+    ul.setAttribute('role', 'group');
+    headings.forEach((h) => {
+      const li = document.createElement('li');
+      li.className = 'outline_link';
+      const a = document.createElement('a');
+      a.href = '#' + encodeURIComponent(h.id);
+      a.setAttribute('data-anchor', h.id);
+      a.textContent = headingText(h);
+      a.addEventListener('click', (ev) => {
+        if (isModifiedClick(ev)) return;
+        ev.preventDefault();
+        goToSubsection(path, h.id);
+      });
+      li.appendChild(a);
+      ul.appendChild(li);
+      treeItem(li, 3);
+    });
+    row.appendChild(ul);
+    row.setAttribute('aria-expanded', 'true');
+    outlinePath = path;
+    updateSpy();
+  }
+
+  // stessa pagina: BookNav cambia solo l'anchor (niente ricarica) e lo scrive in ?load=
+  function goToSubsection(path, id) {
+    window.BookNav.navigate(path, { anchor: id }).then(() => {
+      try {
+        const el = content().doc.getElementById(id);
+        if (el) el.scrollIntoView({ block: 'start' });
+      } catch (_) {}
+      updateSpy();
+    });
+  }
+
+  // sottosezione "in vista": l'ultimo h2 sopra il primo terzo della finestra
+  function updateSpy() {
+    spyTick = false;
+    const ul = document.querySelector('.section_outline');
+    if (!ul) return;
+
+    let current = '';
+    try {
+      const limit = content().win.innerHeight / 3;
+      frameHeadings().forEach((h) => {
+        if (h.getBoundingClientRect().top <= limit) current = h.id;
+      });
+    } catch (_) {}
+
+    ul.querySelectorAll('a[data-anchor]').forEach((a) => {
+      const on = a.getAttribute('data-anchor') === current;
+      a.classList.toggle('is-current', on);
+      if (on) a.setAttribute('aria-current', 'location');
+      else a.removeAttribute('aria-current');
+    });
+  }
+
+  function onFrameScroll() {
+    if (spyTick) return;
+    spyTick = true;
+    window.requestAnimationFrame(updateSpy);
+  }
+
+  if (isSplit) {
+    window.addEventListener('book-loaded', () => {
+      try {
+        content().win.addEventListener('scroll', onFrameScroll, { passive: true });
+      } catch (_) {}
+      showOutline();
+    });
+
+    // solo l'anchor cambiato (stessa pagina): l'outline resta, si aggiorna lo spy
+    window.addEventListener('book-navigate', (ev) => {
+      if (ev.detail.path === outlinePath) window.setTimeout(updateSpy, 0);
+    });
+  }
+
+  // -----------------------------------------
+  // 1c) ARIA tree: chapters (level 1) > sections (2) > subsection outline (3)
+  //     Un solo elemento nel tab order (roving tabindex); i link ne restano fuori.
+  //     I gruppi delle sezioni sono fratelli della riga del capitolo: li collega aria-owns.
+  // -----------------------------------------
+  const tree = document.querySelector('.toc-tree');
+  const LANG = (window.location.pathname.match(/\/(it|en)\//) || [null, 'it'])[1];
+  const TREE_TEXT = {
+    it: { label: 'Indice', loaded: 'Caricata: ' },
+    en: { label: 'Table of contents', loaded: 'Loaded: ' }
+  }[LANG];
+
+  let groupSeq = 0;
+
+  function treeItem(el, level, label) {
+    el.setAttribute('role', 'treeitem');
+    el.setAttribute('aria-level', String(level));
+    // il nome non deve includere i figli (outline dentro la riga della sezione)
+    if (label) el.setAttribute('aria-label', label.replace(/\s+/g, ' ').trim());
+    el.tabIndex = -1;
+    el.querySelectorAll('a[href]').forEach((a) => { a.tabIndex = -1; });
+  }
+
+  function rowLabel(row) {
+    const num = row.querySelector(':scope > .number');
+    const a = row.querySelector(':scope > a[href]');
+    return ((num ? num.textContent : '') + ' ' + (a ? a.textContent : '')).trim();
+  }
+
+  function setExpanded(chapterEl, list) {
+    if (!tree) return;
+    chapterEl.setAttribute('aria-expanded', list ? 'true' : 'false');
+    if (list) {
+      if (!list.id) list.id = 'toc-sections-' + (++groupSeq);
+      chapterEl.setAttribute('aria-owns', list.id);
+    } else {
+      chapterEl.removeAttribute('aria-owns');
+    }
+    syncTabStop();
+  }
+
+  function treeItems() {
+    return tree ? Array.from(tree.querySelectorAll('[role="treeitem"]')) : [];
+  }
+
+  function setActive(item, focus) {
+    treeItems().forEach((el) => { if (el !== item) el.tabIndex = -1; });
+    item.tabIndex = 0;
+    if (focus) item.focus();
+  }
+
+  // dopo aver tolto l'elemento attivo (capitolo chiuso, outline rifatto) serve un altro tab stop
+  function syncTabStop() {
+    if (!tree || tree.querySelector('[role="treeitem"][tabindex="0"]')) return;
+    const item = tree.querySelector('.section_link.is-current') || tree.querySelector('[role="treeitem"]');
+    if (item) item.tabIndex = 0;
+  }
+
+  function parentItem(item) {
+    if (item.matches('.outline_link')) return item.parentElement.closest('.section_link');
+    const group = item.closest('.chapter_sections');
+    return group ? group.previousElementSibling : null;
+  }
+
+  function firstChildItem(item) {
+    if (item.matches('.chapter_link')) {
+      const group = item.nextElementSibling;
+      return group && group.matches('.chapter_sections') ? group.querySelector('[role="treeitem"]') : null;
+    }
+    return item.querySelector('.section_outline > [role="treeitem"]');
+  }
+
+  function numberOf(item) {
+    const n = item.querySelector(':scope > .number, :scope > .section_number');
+    return n ? n.textContent.trim() : '';
+  }
+
+  // numero del capitolo (o della sezione, "3.2", se il capitolo è aperto)
+  let typed = '';
+  let typedTimer = 0;
+
+  function typeAhead(key) {
+    if (!/^[0-9.]$/.test(key)) return false;
+    typed += key;
+    window.clearTimeout(typedTimer);
+    typedTimer = window.setTimeout(() => { typed = ''; }, 800);
+
+    const items = treeItems();
+    const match = items.find(el => numberOf(el) === typed) ||
+      items.find(el => numberOf(el).startsWith(typed));
+    if (match) setActive(match, true);
+    return true;
+  }
+
+  // Invio / spazio: come il click sul link della riga (capitolo: apre/chiude; sezione: la carica)
+  function activate(item) {
+    const a = item.querySelector(':scope > a[href]');
+    if (a) a.click();
+  }
+
+  function onTreeKeydown(ev) {
+    if (ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    const item = ev.target.closest ? ev.target.closest('[role="treeitem"]') : null;
+    if (!item || !tree.contains(item)) return;
+
+    const items = treeItems();
+    const i = items.indexOf(item);
+    const expanded = item.getAttribute('aria-expanded');
+    let next = null;
+
+    switch (ev.key) {
+      case 'ArrowDown': next = items[i + 1]; break;
+      case 'ArrowUp': next = items[i - 1]; break;
+      case 'Home': next = items[0]; break;
+      case 'End': next = items[items.length - 1]; break;
+      case 'ArrowRight':
+        if (expanded === 'false') activate(item);
+        else if (expanded === 'true') next = firstChildItem(item);
+        break;
+      case 'ArrowLeft':
+        // l'outline della sezione segue la pagina aperta: non si chiude, si sale al capitolo
+        if (expanded === 'true' && item.matches('.chapter_link')) activate(item);
+        else next = parentItem(item);
+        break;
+      case 'Enter':
+      case ' ':
+        activate(item);
+        break;
+      default:
+        if (!typeAhead(ev.key)) return;
+    }
+
+    ev.preventDefault();
+    if (next) setActive(next, true);
+  }
+
+  if (tree) {
+    tree.setAttribute('role', 'tree');
+    tree.setAttribute('aria-label', TREE_TEXT.label);
+
+    // ogni parte è un gruppo di capitoli, con il titolo della parte come nome
+    tree.querySelectorAll('.subtitle').forEach((title, n) => {
+      title.id = title.id || 'toc-part-' + (n + 1);
+      title.parentElement.setAttribute('role', 'group');
+      title.parentElement.setAttribute('aria-labelledby', title.id);
+    });
+
+    tree.querySelectorAll('.chapter, .chapter_link').forEach((row) => {
+      treeItem(row, 1, rowLabel(row));
+      if (row.matches('.chapter_link')) row.setAttribute('aria-expanded', 'false');
+    });
+    syncTabStop();
+
+    tree.addEventListener('keydown', onTreeKeydown);
+    tree.addEventListener('focusin', (ev) => {
+      const item = ev.target.closest('[role="treeitem"]');
+      if (item) setActive(item, false);
+    });
+  }
+
+  // annuncio per i lettori di schermo quando una pagina si carica a destra
+  if (tree && isSplit) {
+    const status = document.createElement('div');
+    status.className = 'toc-tree-status';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    tree.insertAdjacentElement('afterend', status);
+
+    window.addEventListener('book-loaded', () => {
+      let title = '';
+      try {
+        const c = content();
+        const h1 = c.root.querySelector('h1');
+        title = h1 ? headingText(h1) : c.doc.title;
+      } catch (_) {}
+      if (!title) return;
+
+      // stesso testo due volte di fila: va svuotato perché venga riletto
+      status.textContent = '';
+      window.setTimeout(() => { status.textContent = TREE_TEXT.loaded + title; }, 100);
+
+      const row = document.querySelector('.section_link.is-current');
+      if (row && !tree.contains(document.activeElement)) setActive(row, false);
+    });
+  }
+
   // -----------------------------------------
   // 2) Language sync:
   //    clicking EN/IT inside iframe navigates parent TOC page too
@@ -232,12 +568,6 @@
     }
   }
 
-  function parentIndexUrlForLang(targetLang) {
-    const u = new URL(window.location.href);
-    u.pathname = u.pathname.replace(/\/(it|en)\//, `/${targetLang}/`);
-    return u;
-  }
-
   function installIframeLanguageHook() {
     if (!isSplit) return;
 
@@ -267,11 +597,9 @@
           const currentIframeUrl = frame.contentWindow ? frame.contentWindow.location.href : frame.src;
           const mapped = mapSectionUrlToLang(currentIframeUrl, targetLang);
 
-          const parentUrl = parentIndexUrlForLang(targetLang);
-          parentUrl.search = '';
-          parentUrl.searchParams.set('load', mapped);
-
-          window.location.href = parentUrl.toString();
+          // pagina nell'altra lingua: BookNav ricarica il parent tradotto con ?load= (query del grafico inclusa)
+          // e riporta il lettore alla stessa sottosezione, con i parametri dei grafici spostati
+          window.BookNav.navigate(mapped);
         });
       });
     });
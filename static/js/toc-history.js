@@ -4,185 +4,9 @@
   // Non eseguire dentro l'iframe
   if (window.self !== window.top) return;
 
-  const frame =
-    document.getElementById('toc-split-frame') ||
-    document.getElementById('content-frame') ||
-    document.querySelector('iframe.toc-split-frame') ||
-    document.querySelector('iframe[data-toc-split]');
-
-  if (!frame) return;
-
-  // --- Helpers ---------------------------------------------------------------
-
-  function getLangRootPath() {
-    const p = window.location.pathname;
-    const m = p.match(/^(.*\/)(it|en)\/(?:index(?:\.html)?)?$/);
-    if (m) return m[1] + m[2] + '/';
-
-    const idxIt = p.indexOf('/it/');
-    const idxEn = p.indexOf('/en/');
-    const idx = idxIt >= 0 ? idxIt : idxEn;
-    if (idx >= 0) return p.slice(0, idx + 4);
-
-    return p.endsWith('/') ? p : (p + '/');
-  }
-
-  const LANG_ROOT = getLangRootPath();
-  const LANG = (LANG_ROOT.match(/\/(it|en)\/$/) || [null, 'it'])[1];
-
-  function isAbsHttp(u) {
-    return /^https?:\/\//i.test(u);
-  }
-
-  function toCleanLoad(href) {
-    if (!href) return null;
-    // Se arriva una stringa percent-encoded (es. http%3A%2F%2F...), decodifica subito
-    let raw = href;
-    try {
-      if (/%[0-9A-Fa-f]{2}/.test(raw)) raw = decodeURIComponent(raw);
-    } catch (e) {
-      // se decode fallisce, continua con raw originale
-    }
-    const h = raw.split('#')[0].split('?')[0];
-
-    if (isAbsHttp(h)) {
-      try {
-        const u = new URL(h);
-        const m = u.pathname.match(/\/(it|en)\/(.*)$/);
-        if (m) return '/' + m[1] + '/' + m[2].replace(/\/+$/, '');
-        return h;
-      } catch (e) {
-        return h;
-      }
-    }
-
-    let s = h;
-    if (s.startsWith('./')) s = s.slice(2);
-
-    if (s.startsWith('/')) {
-      const m = s.match(/\/(it|en)\/(.*)$/);
-      if (m) {
-        s = '/' + m[1] + '/' + m[2];
-      } else if (s.startsWith(LANG_ROOT)) {
-        s = '/' + LANG + '/' + s.slice(LANG_ROOT.length);
-      } else {
-        s = '/' + LANG + '/' + s.replace(/^\/+/, '');
-      }
-    } else {
-      s = '/' + LANG + '/' + s;
-    }
-
-    s = s.replace(/\/+$/, '');
-    return s || null;
-  }
-
-  function loadToFrameUrl(loadVal) {
-    if (!loadVal) return null;
-    if (isAbsHttp(loadVal)) return loadVal;
-
-    let v = loadVal;
-    try { v = decodeURIComponent(v); } catch (e) {}
-    v = v.replace(/^\/+/, '');
-
-    const m = v.match(/^(it|en)\/(.*)$/);
-    let rel;
-    if (m) rel = m[2];
-    else rel = v;
-
-    rel = (rel || '').replace(/^\/+/, '').replace(/\/+$/, '');
-    // Se loadVal include una lingua, usa la root corretta per quella lingua
-    let root = LANG_ROOT;
-    const mm = String(loadVal).match(/^\/?(it|en)\//);
-    if (mm) {
-      root = LANG_ROOT.replace(/\/(it|en)\//, `/${mm[1]}/`);
-    }
-    return new URL(rel, window.location.origin + root).toString();
-  }
-
-  function setParentLoadParamClean(cleanVal, mode = 'replace') {
-    // Se cleanVal è di un'altra lingua, sposta anche il parent su quella lingua
-    const mLang = String(cleanVal || '').match(/^\/(it|en)\//);
-    if (mLang) {
-      const targetLang = mLang[1];
-      const cur = window.location.pathname;
-      const curLang = (cur.match(/\/(it|en)\//) || [null, null])[1];
-
-      if (curLang && curLang !== targetLang) {
-        const newPath = cur.replace(/\/(it|en)\//, `/${targetLang}/`);
-        // ricarica il parent nella lingua giusta, mantenendo lo stesso load
-        window.location.href = newPath + `?load=${cleanVal}`;
-        return;
-      }
-    }
-    try {
-      const u = new URL(window.location.href);
-      const base = u.pathname;
-      const hash = u.hash || '';
-
-      const params = [];
-      u.search
-        .replace(/^\?/, '')
-        .split('&')
-        .filter(Boolean)
-        .forEach((kv) => {
-          const [k] = kv.split('=');
-          if (k !== 'load') params.push(kv);
-        });
-
-      params.push('load=' + cleanVal);
-      const newUrl = base + '?' + params.join('&') + hash;
-
-      if (mode === 'push') history.pushState({}, '', newUrl);
-      else history.replaceState({}, '', newUrl);
-
-      try { sessionStorage.setItem('toc_last_load', cleanVal); } catch (e) {}
-    } catch (e) {}
-  }
-
-  function getLoadFromUrl() {
-    try {
-      const raw = window.location.search.replace(/^\?/, '');
-      if (!raw) return null;
-
-      const parts = raw.split('&');
-      for (const p of parts) {
-        const eq = p.indexOf('=');
-        if (eq < 0) continue;
-        const k = p.slice(0, eq);
-        const v = p.slice(eq + 1);
-        if (k === 'load') return v || null;
-      }
-    } catch (e) {}
-    return null;
-  }
-
-  // helper unica: carica frame + sincronizza URL
-  function goToClean(clean, mode = 'push') {
-    if (!clean) return;
-
-    const frameUrl = loadToFrameUrl(clean);
-
-    if (frameUrl) {
-      // Evita di accumulare history dentro l'iframe:
-      // - se same-origin e contentWindow accessibile, usa location.replace()
-      // - fallback: src
-      try {
-        if (frame.contentWindow && frame.contentWindow.location) {
-          frame.contentWindow.location.replace(frameUrl);
-        } else {
-          frame.src = frameUrl;
-        }
-      } catch (e) {
-        frame.src = frameUrl;
-      }
-    }
-
-    setParentLoadParamClean(clean, mode);
-  }
-
-  function defaultCleanLoad() {
-    return `/${LANG}/toc-big.html`;
-  }
+  // Caricamento nell'iframe, ?load= del parent, back/forward: static/js/navigation.js
+  const nav = window.BookNav;
+  if (!nav) return;
 
   // --- Intercetta click su sezioni/prefazione nella TOC ----------------------
 
@@ -193,7 +17,8 @@
       if (!a) return;
 
       const href = a.getAttribute('href');
-      if (!href) return;
+      if (!href || href.startsWith('#')) return;   // outline della sezione: lo gestisce toc-accordion.js
+      if (a.closest('.lang-switch')) return;       // IT | EN del lettore SPA: static/js/reader-spa.js
 
       const inSections =
         !!a.closest('.chapter_sections') ||
@@ -208,74 +33,22 @@
       ev.preventDefault();
       ev.stopPropagation();
 
-      const clean = toCleanLoad(href);
-      if (!clean) return;
-
-      goToClean(clean, 'push');
+      nav.navigate(href);
     },
     true
   );
 
-  // --- Bootstrap: carica iframe da ?load=... --------------------------------
-
-  window.addEventListener('DOMContentLoaded', () => {
-    const load = getLoadFromUrl();
-
-    if (load) {
-      const clean = toCleanLoad(load) || load;
-      goToClean(clean, 'replace');
-      return;
-    }
-
-    // default: toc-big (senza creare entry nuova)
-    goToClean(defaultCleanLoad(), 'replace');
-  });
-
-  // --- popstate: back/forward deve sincronizzare anche l'URL/iframe ----------
-
-  window.addEventListener('popstate', () => {
-    const load = getLoadFromUrl();
-
-    if (load) {
-      const clean = toCleanLoad(load) || load;
-      goToClean(clean, 'replace');
-      return;
-    }
+  // --- Link aperti da toc-big o dall'indice analitico: mostra la sidebar ----------
 
-    // Se siamo tornati a /it/ o /en/ senza load, mostriamo toc-big
-    goToClean(defaultCleanLoad(), 'replace');
+  let fromIndex = false;
+  window.addEventListener('book-loaded', (ev) => {
+    fromIndex = /\/(toc-big|analytic-index)\.html$/.test(ev.detail.path);
   });
 
-  // --- listener per messaggi provenienti dall'iframe (toc-big) ---------------
-
-  window.addEventListener('message', function(ev) {
-    try {
-      if (ev.origin !== window.location.origin) return;
-    } catch (err) {
-      return;
-    }
-
-    var data = ev.data;
-    if (!data || data.type !== 'toc-load' || typeof data.path !== 'string') return;
-
-    var clean = null;
-    try {
-      clean = toCleanLoad(data.path);
-    } catch (e) {
-      try {
-        var u = new URL(data.path, window.location.origin + window.location.pathname);
-        clean = toCleanLoad(u.pathname + u.search + u.hash);
-      } catch (ee) {
-        clean = null;
-      }
-    }
-
-    if (!clean) return;
-
-    goToClean(clean, 'push');
-
+  window.addEventListener('book-navigate', (ev) => {
+    if (ev.detail.source !== 'frame' || !fromIndex) return;
     try { localStorage.setItem('toc_sidebar_hidden', "0"); } catch (e) {}
-  }, false);
+  });
 
 })();
 
@@ -351,41 +124,11 @@
         } catch (e) {}
       } catch (e) {}
 
-      if (/toc-big\.html/.test(load)) {
+      if (/toc-big\.html/.test(load) && window.BookNav) {
         // lingua corrente dal pathname
         const m = window.location.pathname.match(/\/(it|en)\//);
         const lang = m ? m[1] : "it";
-        const clean = `/${lang}/pr.html`;
-
-        // calcola lang root tipo /micro26_wip3/it/
-        const p = window.location.pathname;
-        const mm = p.match(/^(.*\/)(it|en)\//);
-        const langRoot = mm ? (mm[1] + lang + "/") : ("/" + lang + "/");
-
-        // carica la prefazione nel frame SENZA accumulare history dell'iframe
-        const frame =
-          document.getElementById("toc-split-frame") ||
-          document.querySelector(".toc-split-right iframe");
-
-        if (frame) {
-          const frameUrl = new URL("pr.html", window.location.origin + langRoot).toString();
-          try {
-            if (frame.contentWindow && frame.contentWindow.location) {
-              frame.contentWindow.location.replace(frameUrl);
-            } else {
-              frame.src = frameUrl;
-            }
-          } catch (e) {
-            frame.src = frameUrl;
-          }
-        }
-
-        // aggiorna URL del parent con PUSH (azione utente)
-        try {
-          const newUrl = window.location.pathname + `?load=${clean}` + (window.location.hash || "");
-          history.pushState({}, "", newUrl);
-          try { sessionStorage.setItem("toc_last_load", clean); } catch (e) {}
-        } catch (e) {}
+        window.BookNav.navigate(`/${lang}/pr.html`);
       }
     }
   }
@@ -401,92 +144,15 @@
 
 
 
-
-
-
-
-
-
 // ---------------------------
 // Reload iframe content only (robusto: usa ?load= del parent)
 // ---------------------------
 (function () {
   const btn = document.getElementById("content-reload");
-  if (!btn) return;
-
-  const frame =
-    document.getElementById("content-frame") ||
-    document.getElementById("toc-split-frame") ||
-    document.querySelector(".toc-split-right iframe");
-
-  if (!frame) return;
-
-  function getLoadFromUrl() {
-    try {
-      const raw = window.location.search.replace(/^\?/, '');
-      if (!raw) return null;
-      for (const p of raw.split('&')) {
-        const eq = p.indexOf('=');
-        if (eq < 0) continue;
-        const k = p.slice(0, eq);
-        const v = p.slice(eq + 1);
-        if (k === 'load') return v || null;
-      }
-    } catch (e) {}
-    return null;
-  }
-
-  function getLangRootPath() {
-    const p = window.location.pathname;
-    const m = p.match(/^(.*\/)(it|en)\//);
-    if (m) return m[1] + m[2] + '/';
-    return p.endsWith('/') ? p : (p + '/');
-  }
-
-  const LANG_ROOT = getLangRootPath();
-  const LANG = (LANG_ROOT.match(/\/(it|en)\/$/) || [null, 'it'])[1];
-
-  function isAbsHttp(u) {
-    return /^https?:\/\//i.test(u);
-  }
-
-  function loadToFrameUrl(loadVal) {
-    if (!loadVal) return null;
-    if (isAbsHttp(loadVal)) return loadVal;
-
-    let v = loadVal;
-    try { v = decodeURIComponent(v); } catch (e) {}
-    v = v.replace(/^\/+/, '');
-
-    const m = v.match(/^(it|en)\/(.*)$/);
-    let rel;
-    if (m) rel = m[2];
-    else rel = v;
-
-    rel = (rel || '').replace(/^\/+/, '').replace(/\/+$/, '');
-    return new URL(rel, window.location.origin + LANG_ROOT).toString();
-  }
-
-  function defaultCleanLoad() {
-    return `/${LANG}/toc-big.html`;
-  }
+  if (!btn || !window.BookNav) return;
 
   function reloadFrame() {
-    const load = getLoadFromUrl();
-    const clean = load ? load : defaultCleanLoad();
-    const frameUrl = loadToFrameUrl(clean);
-    if (!frameUrl) return;
-
-    // ricarica senza accumulare history nell'iframe
-    try {
-      if (frame.contentWindow && frame.contentWindow.location) {
-        frame.contentWindow.location.replace(frameUrl);
-      } else {
-        frame.src = frameUrl;
-      }
-    } catch (e) {
-      frame.src = frameUrl;
-    }
+    window.BookNav.reload();
   }
 
   btn.addEventListener("click", reloadFrame);
@@ -501,30 +167,16 @@
 
 
 
-
-
-
-
-
-
-
 // ---------------------------
 // Home button: torna a TOC grande
 // ---------------------------
 (function () {
   const btn = document.getElementById("go-big-toc");
-  if (!btn) return;
+  if (!btn || !window.BookNav) return;
 
   function goHome() {
     const m = window.location.pathname.match(/\/(it|en)\//);
     const lang = m ? m[1] : "it";
-    const clean = `/${lang}/toc-big.html`;
-
-    // Aggiorna URL del parent (azione utente)
-    try {
-      history.pushState({}, "", window.location.pathname + `?load=${clean}` + (window.location.hash || ""));
-      try { sessionStorage.setItem("toc_last_load", clean); } catch (e) {}
-    } catch (e) {}
 
     // (opzionale ma consigliato): quando vai all'indice grande, nascondi la sidebar
     try {
@@ -534,27 +186,7 @@
       if (toggle) toggle.textContent = "☰";
     } catch (e) {}
 
-    // Carica toc-big nel frame senza history dell'iframe
-    const frame =
-      document.getElementById("toc-split-frame") ||
-      document.querySelector(".toc-split-right iframe");
-    if (!frame) return;
-
-    const p = window.location.pathname;
-    const mm = p.match(/^(.*\/)(it|en)\//);
-    const langRoot = mm ? (mm[1] + lang + "/") : ("/" + lang + "/");
-
-    const frameUrl = new URL("toc-big.html", window.location.origin + langRoot).toString();
-
-    try {
-      if (frame.contentWindow && frame.contentWindow.location) {
-        frame.contentWindow.location.replace(frameUrl);
-      } else {
-        frame.src = frameUrl;
-      }
-    } catch (e) {
-      frame.src = frameUrl;
-    }
+    window.BookNav.navigate(`/${lang}/toc-big.html`);
   }
 
   btn.addEventListener("click", goHome);
@@ -567,9 +199,27 @@
 })();
 
 
+// ---------------------------
+// Indice analitico (A–Z)
+// ---------------------------
+(function () {
+  const btn = document.getElementById("go-analytic-index");
+  if (!btn || !window.BookNav) return;
 
+  function goIndex() {
+    const m = window.location.pathname.match(/\/(it|en)\//);
+    const lang = m ? m[1] : "it";
+    window.BookNav.navigate(`/${lang}/analytic-index.html`);
+  }
 
-
+  btn.addEventListener("click", goIndex);
+  btn.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      goIndex();
+    }
+  });
+})();
 
 
 // ---------------------------
@@ -587,9 +237,18 @@
   if (!frame) return;
 
   function printFrame() {
+    // lettore SPA (static/js/reader-spa.js): la sezione è nella pagina stessa
+    const shown = window.BookNav ? window.BookNav.content() : null;
+    const target = shown && shown.win === window ? shown : frame;
+
     // Se disponibile la stampa con numeri pagina (basata su pagebreak), usala
     if (window.printWithPageNumbers) {
-      window.printWithPageNumbers(frame);
+      window.printWithPageNumbers(target);
+      return;
+    }
+
+    if (target !== frame) {
+      window.print();
       return;
     }
 
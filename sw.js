@@ -0,0 +1,279 @@
+---
+layout: none
+permalink: /sw.js
+---
+/*
+  Service worker per la lettura offline (lo registra static/js/offline.js, solo su richiesta).
+  - "shell": CSS, JS, font KaTeX/et-book, icone -> cache-first
+  - "content": sezioni, grafici (graphs/*.yml), search.json e indice analitico scaricati dall'utente -> network-first,
+    con la copia in cache quando la rete non c'è
+  - Le cache hanno la versione della build nel nome: a ogni ricompilazione del sito questo file
+    cambia, il browser installa il nuovo worker e i contenuti scaricati vengono riscaricati ("sync")
+
+  Messaggi dalla pagina (risposte a ev.source):
+    { type: 'download', urls }  -> { type: 'offline-progress', done, total }, poi { type: 'offline-downloaded', total, failed }
+    { type: 'sync' }            -> { type: 'offline-refreshed', version, total } (solo se c'era una build precedente)
+    { type: 'status' }          -> { type: 'offline-status', version, urls }
+    { type: 'clear' }           -> { type: 'offline-cleared' }
+*/
+
+(function () {
+  'use strict';
+
+  const VERSION = {{ site.time | date: '%s' | jsonify }};
+  const BASE = {{ site.baseurl | jsonify }};
+
+  const PREFIX = 'book-';
+  const SHELL_CACHE = PREFIX + 'shell-' + VERSION;
+  const CONTENT_PREFIX = PREFIX + 'content-';
+  const CONTENT_CACHE = CONTENT_PREFIX + VERSION;
+  const FETCH_CONCURRENCY = 6;
+
+  const SHELL = [
+    '/favicon.ico',
+    '/assets/favicon-16x16.png',
+    '/assets/favicon-32x32.png',
+    '/assets/apple-touch-icon.png',
+    '/static/css/kg-tufte.0.3.1.css',
+    '/static/css/textbook.css',
+    '/static/css/print.css',
+    '/static/css/toc-accordion.css',
+    '/static/css/toc-split.css',
+    '/static/css/alfredo.css',
+    '/static/css/et-book/et-book.css',
+    '/static/js/kg.0.3.1.js',
+    '/static/js/kg3d.0.3.1.js',
+    '/static/js/reader-spa.js',
+    '/static/js/navigation.js',
+    '/static/js/toc-accordion.js',
+    '/static/js/toc-history.js',
+    '/static/js/print-pageno.js',
+    '/static/js/search.js',
+    '/static/js/search-index.js',
+    '/static/js/search-worker.js',
+    '/static/js/search-highlight.js',
+    '/static/js/analytic-index.js',
+    '/static/js/glossary.js',
+    '/static/js/annotations.js',
+    '/static/js/link-preview.js',
+    '/static/js/offline.js',
+    '/static/js/progress.js',
+    '/static/js/notes.js',
+    '/static/js/shortcuts.js',
+    '/static/js/theme.js'
+{%- for f in site.static_files -%}
+  {%- if f.extname == '.woff2' and f.path contains '/static/css/fonts/' %},
+    {{ f.path | jsonify }}
+  {%- elsif f.extname == '.woff' and f.path contains '/static/css/et-book/' %},
+    {{ f.path | jsonify }}
+  {%- endif -%}
+{%- endfor %}
+  ].map(p => BASE + p);
+
+  const OFFLINE_MESSAGES = {
+    it: 'Questa pagina non è stata scaricata per la lettura offline.',
+    en: 'This page has not been downloaded for offline reading.'
+  };
+
+  // -------- helpers --------
+
+  // Chiave di cache: senza query string (search.json?v=..., graphs/x.yml?v=...) e senza hash
+  function cacheKey(url) {
+    const u = new URL(url, self.location.href);
+    return u.origin + u.pathname;
+  }
+
+  function isStatic(url) {
+    return url.pathname.startsWith(BASE + '/static/') ||
+      url.pathname.startsWith(BASE + '/assets/') ||
+      url.pathname === BASE + '/favicon.ico';
+  }
+
+  // /en/I/2/3 e /en/I/2 sono serviti da GitHub Pages come 3.html e 2/index.html
+  function candidateKeys(url) {
+    const key = cacheKey(url);
+    if (/\.[a-z0-9]+$/i.test(key)) return [key];
+    if (key.endsWith('/')) return [key, key + 'index.html'];
+    return [key, key + '.html', key + '/', key + '/index.html'];
+  }
+
+  function oldCaches(prefix, current) {
+    return caches.keys().then(names => names.filter(n => n.startsWith(prefix) && n !== current));
+  }
+
+  function notifyAll(msg) {
+    return self.clients.matchAll({ includeUncontrolled: true }).then((list) => {
+      list.forEach(c => c.postMessage(msg));
+    });
+  }
+
+  function reply(ev, msg) {
+    if (ev.source) ev.source.postMessage(msg);
+  }
+
+  // Scarica gli url (pochi alla volta) nella cache dei contenuti; onFail(url) può fornire un ripiego
+  function fetchAll(urls, onProgress, onFail) {
+    const queue = Array.from(new Set(urls.map(cacheKey)));
+    const total = queue.length;
+    let done = 0;
+    let failed = 0;
+
+    return caches.open(CONTENT_CACHE).then((cache) => {
+      function worker() {
+        const url = queue.shift();
+        if (!url) return Promise.resolve();
+
+        return fetch(url, { cache: 'no-cache' })
+          .then((r) => {
+            if (!r.ok) throw new Error(String(r.status));
+            return cache.put(url, r);
+          })
+          .catch(() => {
+            failed++;
+            return onFail ? onFail(url, cache) : null;
+          })
+          .then(() => {
+            done++;
+            if (onProgress) onProgress(done, total);
+          })
+          .then(worker);
+      }
+
+      const workers = [];
+      for (let i = 0; i < FETCH_CONCURRENCY; i++) workers.push(worker());
+      return Promise.all(workers).then(() => ({ total, failed }));
+    });
+  }
+
+  function precacheShell() {
+    return caches.open(SHELL_CACHE).then(cache => Promise.all(SHELL.map((url) => {
+      return cache.match(url).then(hit => hit || cache.add(url).catch(() => {}));
+    })));
+  }
+
+  // -------- nuova build: riscarica i contenuti delle build precedenti --------
+
+  let syncing = null;
+
+  function sync() {
+    if (syncing) return syncing;
+
+    syncing = oldCaches(CONTENT_PREFIX, CONTENT_CACHE).then((names) => {
+      if (!names.length) return null;
+
+      return Promise.all(names.map(n => caches.open(n).then(c => c.keys())))
+        .then((lists) => {
+          const urls = [].concat(...lists).map(req => req.url);
+          // senza rete si tiene la copia della build precedente
+          return fetchAll(urls, null, (url, cache) => caches.match(url).then(old => old && cache.put(url, old)));
+        })
+        .then(res => Promise.all(names.map(n => caches.delete(n)))
+          .then(() => notifyAll({ type: 'offline-refreshed', version: VERSION, total: res.total })));
+    }).then(() => {
+      syncing = null;
+    }, (err) => {
+      syncing = null;
+      throw err;
+    });
+
+    return syncing;
+  }
+
+  // -------- ciclo di vita --------
+
+  self.addEventListener('install', (ev) => {
+    self.skipWaiting();
+    ev.waitUntil(precacheShell());
+  });
+
+  self.addEventListener('activate', (ev) => {
+    ev.waitUntil(
+      oldCaches(PREFIX + 'shell-', SHELL_CACHE)
+        .then(names => Promise.all(names.map(n => caches.delete(n))))
+        .then(() => self.clients.claim())
+    );
+  });
+
+  // -------- richieste --------
+
+  function cacheFirst(req) {
+    return caches.match(req, { ignoreSearch: true }).then((hit) => {
+      if (hit) return hit;
+      return fetch(req).then((r) => {
+        if (r.ok) {
+          const copy = r.clone();
+          caches.open(SHELL_CACHE).then(c => c.put(cacheKey(req.url), copy));
+        }
+        return r;
+      });
+    });
+  }
+
+  function fromCache(url) {
+    const keys = candidateKeys(url);
+    return keys.reduce((p, key) => p.then(hit => hit || caches.match(key)), Promise.resolve(null));
+  }
+
+  function offlinePage(url) {
+    const lang = /\/en\//.test(url.pathname) ? 'en' : 'it';
+    const html = '<!doctype html><meta charset="utf-8"><title>Offline</title>' +
+      '<body style="font-family: serif; padding: 2em; color: #555">' + OFFLINE_MESSAGES[lang] + '</body>';
+    return new Response(html, { status: 503, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+  }
+
+  // Rete prima di tutto; la copia scaricata si aggiorna quando la rete risponde
+  function networkFirst(req, url) {
+    return fetch(req).then((r) => {
+      if (r.ok && !r.redirected) {
+        const key = cacheKey(req.url);
+        const copy = r.clone();
+        caches.open(CONTENT_CACHE)
+          .then(c => c.match(key).then(hit => hit && c.put(key, copy)));
+      }
+      return r;
+    }).catch(() => fromCache(req.url).then((hit) => {
+      if (hit) return hit;
+      if (req.mode === 'navigate') return offlinePage(url);
+      return Response.error();
+    }));
+  }
+
+  self.addEventListener('fetch', (ev) => {
+    const req = ev.request;
+    if (req.method !== 'GET') return;
+
+    const url = new URL(req.url);
+    if (url.origin !== self.location.origin) return;
+    if (url.pathname !== BASE + '/' && !url.pathname.startsWith(BASE + '/')) return;
+    if (url.pathname === BASE + '/sw.js') return;
+
+    ev.respondWith(isStatic(url) ? cacheFirst(req) : networkFirst(req, url));
+  });
+
+  // -------- messaggi dalla pagina --------
+
+  self.addEventListener('message', (ev) => {
+    const data = ev.data || {};
+
+    if (data.type === 'download') {
+      const urls = Array.isArray(data.urls) ? data.urls : [];
+      ev.waitUntil(precacheShell()
+        .then(() => fetchAll(urls, (done, total) => reply(ev, { type: 'offline-progress', done, total })))
+        .then(res => reply(ev, { type: 'offline-downloaded', total: res.total, failed: res.failed })));
+    } else if (data.type === 'sync') {
+      ev.waitUntil(sync().catch(() => {}));
+    } else if (data.type === 'status') {
+      // anche le cache di build precedenti non ancora sincronizzate: restano utilizzabili offline
+      ev.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(n => n.startsWith(CONTENT_PREFIX)).map(n => caches.open(n).then(c => c.keys()))))
+        .then((lists) => {
+          const urls = new Set([].concat(...lists).map(r => new URL(r.url).pathname));
+          reply(ev, { type: 'offline-status', version: VERSION, urls: Array.from(urls) });
+        }));
+    } else if (data.type === 'clear') {
+      ev.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(n => n.startsWith(PREFIX)).map(n => caches.delete(n))))
+        .then(() => reply(ev, { type: 'offline-cleared' })));
+    }
+  });
+})();